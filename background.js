@@ -1,4 +1,4 @@
-// Background service worker for side panel support
+// Background service worker for side panel support and bulk export jobs
 
 // Check if Side Panel API is available (Chrome 114+)
 const hasSidePanel = typeof chrome.sidePanel !== 'undefined';
@@ -20,6 +20,343 @@ async function applySidePanelPreference() {
 // Apply preference when service worker starts
 applySidePanelPreference();
 
+// ============================================================================
+// Bulk Export Jobs
+// ============================================================================
+
+// Jobs run in an offscreen document (offscreen.html + jobs.js) so they finish with the popup closed.
+// That document only has chrome.runtime, so it asks this worker for storage, tab messages and downloads.
+
+const OFFSCREEN_URL = 'offscreen.html';
+let creatingOffscreen = null;
+
+// Open the offscreen document that runs export jobs, unless it's already open
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+  });
+  if (contexts.length > 0) return;
+
+  // Only one offscreen document may exist; share the in-flight creation between callers
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['BLOBS'],
+      justification: 'Build export archives for bulk exports that keep running after the popup closes'
+    }).finally(() => {
+      creatingOffscreen = null;
+    });
+  }
+  await creatingOffscreen;
+}
+
+// Find a claude.ai tab to fetch through: the active tab if it's on claude.ai, otherwise any open one
+async function findClaudeTab() {
+  const [active] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (active?.url?.includes('claude.ai')) return active;
+  const [other] = await chrome.tabs.query({ url: 'https://claude.ai/*' });
+  return other || null;
+}
+
+// Relay a message to the content script; an unreachable tab is reported rather than thrown
+async function messageClaudeTab(message) {
+  const tab = await findClaudeTab();
+  if (!tab) {
+    return { unreachable: 'No claude.ai tab is open' };
+  }
+  try {
+    return { response: await chrome.tabs.sendMessage(tab.id, message) };
+  } catch (error) {
+    return { unreachable: error.message };
+  }
+}
+
+// A job still marked running when no offscreen document exists lost its runner (browser restart or update)
+async function pauseOrphanedExportJob() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length > 0) return;
+
+  const { exportJob } = await chrome.storage.local.get(['exportJob']);
+  if (exportJob?.status === 'listing') {
+    // The start command never finished; there's nothing to resume
+    await chrome.storage.local.set({ exportJob: null });
+  } else if (exportJob?.status === 'running') {
+    exportJob.status = 'paused';
+    exportJob.statusClass = 'status waiting';
+    exportJob.statusText = 'Export interrupted. Resume to continue.';
+    await chrome.storage.local.set({ exportJob });
+  }
+}
+
+// Handle a job command from the popup, a bridge request from the offscreen document, a download
+// from any extension page, or a conversation to auto-archive from the content script.
+// Returns undefined for other messages
+function handleExportJobMessage(message) {
+  switch (message.action) {
+    case 'exportJobCommand':
+      return ensureOffscreenDocument().then(() => chrome.runtime.sendMessage({
+        target: 'offscreen',
+        command: message.command,
+        kind: message.kind,
+        settings: message.settings,
+        filter: message.filter,
+        selection: message.selection,
+        project: message.project
+      }));
+    case 'offscreenTabMessage':
+      return messageClaudeTab(message.message);
+    case 'offscreenStorageGet':
+      return chrome.storage.local.get(message.keys);
+    case 'offscreenStorageSet':
+      return chrome.storage.local.set(message.items).then(() => ({ ok: true }));
+    case 'saveDownload':
+      return saveDownload(message);
+    case 'archiveConversation':
+      return ensureOffscreenDocument().then(() => chrome.runtime.sendMessage({
+        target: 'offscreen',
+        command: 'archive',
+        data: message.data,
+        orgId: message.orgId
+      }));
+    default:
+      return undefined;
+  }
+}
+
+// ============================================================================
+// Downloads
+// ============================================================================
+
+// Every export is saved through saveDownload(), so files can go into a subfolder of Downloads, follow
+// the conflict policy, and report whether they were actually written.
+
+// Resolve once a download completes or is interrupted, with { state, error }
+function waitForDownload(downloadId) {
+  return new Promise((resolve) => {
+    let settled = false;
+    const settle = (state, error) => {
+      if (settled) return;
+      settled = true;
+      chrome.downloads.onChanged.removeListener(onChanged);
+      resolve({ state, error });
+    };
+    const onChanged = (delta) => {
+      if (delta.id === downloadId && delta.state && delta.state.current !== 'in_progress') {
+        settle(delta.state.current, delta.error?.current);
+      }
+    };
+    chrome.downloads.onChanged.addListener(onChanged);
+    // Small files can finish before the listener is in place
+    chrome.downloads.search({ id: downloadId }).then(([item]) => {
+      if (item && item.state !== 'in_progress') settle(item.state, item.error);
+    });
+  });
+}
+
+// A completed download still on disk at this path, relative to the Downloads folder
+// Only files Chrome downloaded itself can be found this way
+async function findDownloadedFile(filename) {
+  const pattern = filename.split('/')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[\\\\/]');
+  const [item] = await chrome.downloads.search({ filenameRegex: `[\\\\/]${pattern}$`, exists: true, state: 'complete' });
+  return item || null;
+}
+
+// Save a blob URL to `filename` (relative to Downloads) with conflict 'uniquify', 'overwrite' or 'skip'
+// Returns { downloadId, filename } with the final path once written, { skipped: true, filename } if
+// skipped, or { error } if the download failed
+async function saveDownload({ url, filename, conflict }) {
+  if (conflict === 'skip' && await findDownloadedFile(filename)) {
+    return { skipped: true, filename };
+  }
+
+  const downloadId = await chrome.downloads.download({
+    url,
+    filename,
+    conflictAction: conflict === 'overwrite' ? 'overwrite' : 'uniquify'
+  });
+  const { state, error } = await waitForDownload(downloadId);
+  if (state !== 'complete') {
+    return { downloadId, error: error || state };
+  }
+  const [item] = await chrome.downloads.search({ id: downloadId });
+  return { downloadId, filename: item?.filename || filename };
+}
+
+// ============================================================================
+// Scheduled Backups
+// ============================================================================
+
+// A daily or weekly alarm runs an incremental Mega-Zip export as a bulk job marked `backup`.
+// Each finished archive is recorded in backupHistory (oldest first) and archives past
+// settings.backupKeep are deleted from disk. So that the archives kept can always be restored on
+// their own, a full backup runs whenever none of the newer ones would still be kept.
+
+const BACKUP_ALARM = 'scheduledBackup';
+const BACKUP_PERIODS = { daily: 24 * 60, weekly: 7 * 24 * 60 };
+const BACKUP_NOTIFICATION = 'claude-takeout-backup';
+const BACKUP_TAB_TIMEOUT = 60000;
+const DEFAULT_BACKUP_KEEP = 5;  // matches defaultSettings.backupKeep in exporter.js
+
+// Number of archives to keep (0 = all)
+function getBackupKeep(exporterSettings) {
+  return parseInt(exporterSettings?.backupKeep ?? DEFAULT_BACKUP_KEEP, 10) || 0;
+}
+
+// Create, update or clear the backup alarm to match settings.backupSchedule
+async function scheduleBackupAlarm() {
+  const { exporterSettings } = await chrome.storage.local.get(['exporterSettings']);
+  const period = BACKUP_PERIODS[exporterSettings?.backupSchedule];
+  const existing = await chrome.alarms.get(BACKUP_ALARM);
+
+  if (!period) {
+    if (existing) await chrome.alarms.clear(BACKUP_ALARM);
+    return;
+  }
+  // The first backup runs shortly after the schedule is turned on, so the full archive exists early
+  if (existing?.periodInMinutes !== period) {
+    await chrome.alarms.create(BACKUP_ALARM, { delayInMinutes: 1, periodInMinutes: period });
+  }
+}
+
+function notifyBackup(message) {
+  chrome.notifications.create(BACKUP_NOTIFICATION, {
+    type: 'basic',
+    iconUrl: 'icon128.png',
+    title: 'Claude Takeout backup',
+    message
+  });
+}
+
+// Open claude.ai in a background tab and wait until its content script knows the org ID
+// Returns the tab; throws (after closing it) if the page never gets that far
+async function openBackgroundClaudeTab() {
+  const tab = await chrome.tabs.create({ url: 'https://claude.ai/recents', active: false });
+  const deadline = Date.now() + BACKUP_TAB_TIMEOUT;
+
+  while (Date.now() < deadline) {
+    await new Promise(r => setTimeout(r, 2000));
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'getOrgId' });
+      if (response?.orgId) return tab;
+    } catch (error) {
+      // The content script isn't listening yet
+    }
+  }
+
+  await chrome.tabs.remove(tab.id).catch(() => {});
+  throw new Error("claude.ai didn't finish loading. Check that you're logged in.");
+}
+
+// Whether the next backup must be a full one: no backup yet, or none of the full backups would
+// survive pruning once the next archive is added
+function isFullBackupDue(history, keep) {
+  if (history.length === 0) return true;
+  if (!keep) return false;
+  const kept = keep > 1 ? history.slice(1 - keep) : [];
+  return !kept.some(entry => entry.full);
+}
+
+// Delete the oldest archives (from disk and the downloads list) until at most `keep` remain
+async function pruneBackups(history, keep) {
+  while (keep > 0 && history.length > keep) {
+    const oldest = history.shift();
+    try {
+      await chrome.downloads.removeFile(oldest.downloadId);
+    } catch (error) {
+      console.log(`Backup ${oldest.filename} was already gone: ${error.message}`);
+    }
+    await chrome.downloads.erase({ id: oldest.downloadId }).catch(() => {});
+  }
+  return history;
+}
+
+// Start a scheduled backup, opening a claude.ai tab in the background if none is open
+async function runScheduledBackup() {
+  const { exporterSettings, exportJob, backupHistory = [] } =
+    await chrome.storage.local.get(['exporterSettings', 'exportJob', 'backupHistory']);
+  // A backup that paused earlier would otherwise block every later one, so it's dropped and
+  // this backup starts over
+  const pausedBackup = exportJob?.status === 'paused' && exportJob.backup;
+  if (['running', 'paused', 'listing'].includes(exportJob?.status) && !pausedBackup) {
+    notifyBackup('Scheduled backup skipped: another bulk export is in progress.');
+    return;
+  }
+  if (pausedBackup) {
+    try {
+      await ensureOffscreenDocument();
+      await chrome.runtime.sendMessage({ target: 'offscreen', command: 'cancel' });
+    } catch (error) {
+      notifyBackup(`Scheduled backup failed: ${error.message}`);
+      return;
+    }
+  }
+
+  let tabId = null;
+  try {
+    if (!(await findClaudeTab())) {
+      tabId = (await openBackgroundClaudeTab()).id;
+    }
+  } catch (error) {
+    notifyBackup(`Scheduled backup failed: ${error.message}`);
+    return;
+  }
+
+  const jobSettings = { ...exporterSettings, maxConversations: 0 };
+  const full = isFullBackupDue(backupHistory, getBackupKeep(exporterSettings));
+  let result;
+  try {
+    await ensureOffscreenDocument();
+    result = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      command: 'start',
+      kind: 'zip',
+      settings: jobSettings,
+      backup: { full, tabId }
+    });
+  } catch (error) {
+    result = { error: error.message };
+  }
+
+  // Once started, the job reports back through exportJob (see handleBackupJobChange)
+  if (!result?.started) {
+    notifyBackup(result?.error ? `Scheduled backup failed: ${result.error}` : (result?.message || 'Scheduled backup did not start.'));
+    if (tabId !== null) await chrome.tabs.remove(tabId).catch(() => {});
+  }
+}
+
+// When a backup job finishes, pauses or is cancelled: record and prune archives, notify, and close
+// the tab the backup opened
+async function handleBackupJobChange(job) {
+  let message = job.status === 'paused'
+    ? `Scheduled backup stopped: ${job.statusText.replace(/\.?$/, '.')} If it isn't resumed, the next scheduled backup starts over.`
+    : job.statusText;
+  if (job.status === 'done' && job.archive?.downloadId != null) {
+    const { exporterSettings, backupHistory = [] } = await chrome.storage.local.get(['exporterSettings', 'backupHistory']);
+    backupHistory.push({
+      downloadId: job.archive.downloadId,
+      filename: job.archive.filename,
+      full: !job.incremental && !job.retry,
+      finishedAt: job.finishedAt
+    });
+    await chrome.storage.local.set({ backupHistory: await pruneBackups(backupHistory, getBackupKeep(exporterSettings)) });
+    message = `${message} Saved ${job.archive.filename}.`;
+  }
+
+  notifyBackup(message);
+  if (job.backup.tabId != null) {
+    await chrome.tabs.remove(job.backup.tabId).catch(() => {});
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === BACKUP_ALARM) {
+    runScheduledBackup();
+  }
+});
+
 // Listen for messages to toggle side panel mode
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!hasSidePanel) {
@@ -62,6 +399,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  const jobResult = handleExportJobMessage(message);
+  if (jobResult) {
+    jobResult
+      .then(sendResponse)
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+
   if (message.action === 'checkSidePanelStatus') {
     // Re-apply preference and respond with current status
     applySidePanelPreference().then(() => {
@@ -78,11 +423,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // On install/update, apply stored preference
 chrome.runtime.onInstalled.addListener(() => {
   applySidePanelPreference();
+  pauseOrphanedExportJob();
+  scheduleBackupAlarm();
 });
 
 // On startup, apply stored preference
 chrome.runtime.onStartup.addListener(() => {
   applySidePanelPreference();
+  pauseOrphanedExportJob();
+  scheduleBackupAlarm();
 });
 
 // Listen for storage changes to immediately apply preference changes
@@ -90,4 +439,16 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
   if (areaName === 'local' && changes.useSidePanel) {
     applySidePanelPreference();
   }
+  if (areaName === 'local' && changes.exporterSettings) {
+    scheduleBackupAlarm();
+  }
+  // A backup job stopped running. A start command that didn't start a job can also put back a
+  // finished one, but only after a 'listing' record, so that isn't a change of state. Cancelling a
+  // paused backup isn't either; it was reported when it paused.
+  const job = changes.exportJob?.newValue;
+  const previous = changes.exportJob?.oldValue?.status;
+  if (areaName === 'local' && job?.backup && previous === 'running' &&
+      ['done', 'paused', 'cancelled'].includes(job.status)) {
+    handleBackupJobChange(job);
+  }
 });
@@ -0,0 +1,216 @@
+// Side panel conversation browser - pick conversations to export as a set
+// Loaded after popup.js in sidepanel.html only; exports run as bulk export jobs
+
+// ============================================================================
+// Conversation Browser
+// ============================================================================
+
+let browserList = [];            // conversation list entries
+let browserOrgId = null;
+let browserProjectNames = {};    // project uuid -> name
+let browserMessageCounts = {};   // uuid -> { count, updated_at }, saved by bulk export jobs and clicked cells
+const browserCountErrors = new Map();  // uuid -> why counting its messages failed
+const browserSelected = new Set();
+const browserSort = { key: 'updated_at', descending: true };
+
+function getBrowserProjectName(conv) {
+  const projectUuid = getConversationProjectUuid(conv);
+  if (!projectUuid) return '';
+  return conv.project?.name || browserProjectNames[projectUuid] || `Project ${projectUuid.substring(0, 8)}`;
+}
+
+// Message count from the last time a job or a click fetched the conversation, if it hasn't changed since
+function getBrowserMessageCount(conv) {
+  const known = browserMessageCounts[conv.uuid];
+  return known && known.updated_at === conv.updated_at ? known.count : null;
+}
+
+// Fetch one conversation through the claude.ai tab to fill in its Messages cell
+// The count is saved like a job's, so the storage listener re-renders the row
+async function countBrowserMessages(conv, td) {
+  td.textContent = '…';
+  try {
+    const response = await messageClaudeTab({ action: 'fetchConversation', conversationId: conv.uuid });
+    if (response?.authExpired) {
+      throw new Error('Your claude.ai session has expired. Log in again.');
+    }
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from claude.ai');
+    }
+    browserCountErrors.delete(conv.uuid);
+    const { messageCounts = {} } = await chrome.storage.local.get(['messageCounts']);
+    const count = { count: getMessageChain(response.data).length, updated_at: conv.updated_at };
+    await chrome.storage.local.set({ messageCounts: { ...messageCounts, [conv.uuid]: count } });
+  } catch (e) {
+    browserCountErrors.set(conv.uuid, e.message);
+    renderBrowser();
+  }
+}
+
+// Value a column sorts by; unknown message counts sort below every known one
+function getBrowserSortValue(conv, key) {
+  switch (key) {
+    case 'name': return (conv.name || '').toLowerCase();
+    case 'project': return getBrowserProjectName(conv).toLowerCase();
+    case 'messages': return getBrowserMessageCount(conv) ?? -1;
+    case 'starred': return conv.is_starred ? 1 : 0;
+    default: return conv[key] || '';
+  }
+}
+
+// Conversations matching the search box, in the current sort order
+function getBrowserRows() {
+  const query = document.getElementById('browserSearch').value.trim().toLowerCase();
+  const rows = query
+    ? browserList.filter(conv => `${conv.name || ''} ${getBrowserProjectName(conv)}`.toLowerCase().includes(query))
+    : [...browserList];
+
+  const { key, descending } = browserSort;
+  rows.sort((a, b) => {
+    const x = getBrowserSortValue(a, key);
+    const y = getBrowserSortValue(b, key);
+    const order = x < y ? -1 : x > y ? 1 : 0;
+    return descending ? -order : order;
+  });
+  return rows;
+}
+
+function updateBrowserSelection(shown) {
+  const count = document.getElementById('browserCount');
+  const selectAll = document.getElementById('browserSelectAll');
+  const selectedShown = shown.filter(conv => browserSelected.has(conv.uuid)).length;
+
+  count.textContent = `${browserSelected.size} selected · ${shown.length} of ${browserList.length} shown`;
+  selectAll.checked = shown.length > 0 && selectedShown === shown.length;
+  selectAll.indeterminate = selectedShown > 0 && selectedShown < shown.length;
+  document.getElementById('exportSelected').disabled = browserSelected.size === 0;
+}
+
+function renderBrowser() {
+  const tbody = document.getElementById('browserRows');
+  const rows = getBrowserRows();
+  tbody.textContent = '';
+
+  for (const conv of rows) {
+    const tr = document.createElement('tr');
+
+    const checkCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = browserSelected.has(conv.uuid);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        browserSelected.add(conv.uuid);
+      } else {
+        browserSelected.delete(conv.uuid);
+      }
+      updateBrowserSelection(rows);
+    });
+    checkCell.appendChild(checkbox);
+    tr.appendChild(checkCell);
+
+    const messageCount = getBrowserMessageCount(conv);
+    const countError = browserCountErrors.get(conv.uuid);
+    const cells = [
+      { text: conv.name || 'Untitled', className: 'browser-title' },
+      { text: getBrowserProjectName(conv), className: 'browser-project' },
+      { text: conv.updated_at ? new Date(conv.updated_at).toLocaleDateString() : '' },
+      messageCount === null
+        ? {
+          text: countError ? '!' : '–',
+          className: 'browser-number browser-uncounted',
+          title: countError ? `Couldn't count messages: ${countError}. Click to try again.` : 'Click to count messages',
+          onClick: td => countBrowserMessages(conv, td)
+        }
+        : { text: String(messageCount), className: 'browser-number' },
+      { text: conv.is_starred ? '★' : '', className: 'browser-star' }
+    ];
+    for (const { text, className, title, onClick } of cells) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (className) td.className = className;
+      if (title) td.title = title;
+      if (onClick) td.addEventListener('click', () => onClick(td), { once: true });
+      tr.appendChild(td);
+    }
+    tr.title = conv.name || 'Untitled';
+    tbody.appendChild(tr);
+  }
+
+  document.querySelectorAll('#browserTable th[data-sort]').forEach(th => {
+    th.classList.toggle('sorted', th.dataset.sort === browserSort.key);
+    th.classList.toggle('descending', th.dataset.sort === browserSort.key && browserSort.descending);
+  });
+  updateBrowserSelection(rows);
+}
+
+// Load (or reload) the conversation list; selections of conversations still listed are kept
+async function loadBrowser() {
+  const count = document.getElementById('browserCount');
+  const reload = document.getElementById('browserLoad');
+  reload.disabled = true;
+  count.textContent = 'Loading conversations...';
+
+  try {
+    const { conversations, orgId } = await fetchConversationListFromTab((found) => {
+      count.textContent = `Loading conversations... ${found.length}`;
+    });
+    browserList = conversations;
+    browserOrgId = orgId;
+
+    const listed = new Set(conversations.map(conv => conv.uuid));
+    [...browserSelected].filter(uuid => !listed.has(uuid)).forEach(uuid => browserSelected.delete(uuid));
+
+    const { messageCounts } = await chrome.storage.local.get(['messageCounts']);
+    browserMessageCounts = messageCounts || {};
+    browserProjectNames = orgId ? await fetchProjectNames(orgId) : {};
+    renderBrowser();
+  } catch (e) {
+    count.textContent = `Couldn't load conversations: ${e.message}`;
+  }
+  reload.disabled = false;
+}
+
+document.getElementById('browserLoad').addEventListener('click', loadBrowser);
+document.getElementById('browserSearch').addEventListener('input', renderBrowser);
+
+document.querySelectorAll('#browserTable th[data-sort]').forEach(th => {
+  th.addEventListener('click', () => {
+    const key = th.dataset.sort;
+    // Names and projects start A-Z; dates, counts and stars start with the highest
+    browserSort.descending = browserSort.key === key ? !browserSort.descending : !['name', 'project'].includes(key);
+    browserSort.key = key;
+    renderBrowser();
+  });
+});
+
+document.getElementById('browserSelectAll').addEventListener('change', (e) => {
+  for (const conv of getBrowserRows()) {
+    if (e.target.checked) {
+      browserSelected.add(conv.uuid);
+    } else {
+      browserSelected.delete(conv.uuid);
+    }
+  }
+  renderBrowser();
+});
+
+document.getElementById('exportSelected').addEventListener('click', () => {
+  const conversations = browserList
+    .filter(conv => browserSelected.has(conv.uuid))
+    .map(conv => ({ uuid: conv.uuid, name: conv.name || '', updated_at: conv.updated_at }));
+  sendJobCommand('start', {
+    kind: document.getElementById('browserFormat').value,
+    selection: { orgId: browserOrgId, conversations }
+  });
+});
+
+// Counts saved by a job that just finished, or by clicking a cell, fill in the Messages column
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.messageCounts) {
+    browserMessageCounts = changes.messageCounts.newValue || {};
+    renderBrowser();
+  }
+});
+
+loadBrowser();
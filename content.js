@@ -10,6 +10,9 @@
   script.onload = function() { this.remove(); };
   (document.head || document.documentElement).appendChild(script);
 
+  // Query of a full conversation fetch: every branch and all tool output, as bulk exports need it
+  const FULL_CONVERSATION_PARAMS = { tree: 'True', rendering_mode: 'messages', render_all_tools: 'true' };
+
   // Store captured data
   let conversationData = null;
   let orgId = null;
@@ -21,6 +24,7 @@
     if (event.data.type === 'CLAUDE_CONVERSATION_DATA') {
       conversationData = event.data.data;
       chrome.storage.local.set({ conversationData: conversationData });
+      archiveCapturedConversation(conversationData, event.data.url);
     }
 
     if (event.data.type === 'CLAUDE_ORG_ID') {
@@ -29,36 +33,97 @@
     }
   });
 
+  // Whether a captured response was fetched with FULL_CONVERSATION_PARAMS; the page also loads
+  // conversations without the full tree or tool output, and those can't stand in for a bulk job's fetch
+  function isFullConversationUrl(url) {
+    let params;
+    try {
+      params = new URL(url, location.origin).searchParams;
+    } catch (e) {
+      return false;
+    }
+    return Object.entries(FULL_CONVERSATION_PARAMS)
+      .every(([key, value]) => (params.get(key) || '').toLowerCase() === value.toLowerCase());
+  }
+
+  // With auto-archive on, hand a full conversation to the extension's archive (IndexedDB isn't shared with this page)
+  function archiveCapturedConversation(data, url) {
+    if (!isFullConversationUrl(url || '')) return;
+    chrome.storage.local.get(['exporterSettings', 'orgId'], (result) => {
+      if (!result.exporterSettings?.autoArchive) return;
+      chrome.runtime.sendMessage(
+        { action: 'archiveConversation', data: data, orgId: orgId || result.orgId },
+        () => void chrome.runtime.lastError
+      );
+    });
+  }
+
   // Fetch a single conversation
-  async function fetchConversation(orgId, conversationId) {
-    const url = `https://claude.ai/api/organizations/${orgId}/chat_conversations/${conversationId}?tree=True&rendering_mode=messages&render_all_tools=true`;
+  // Requests go through the shared scheduler (scheduler.js); stats collects its retry counts
+  async function fetchConversation(orgId, conversationId, stats) {
+    const url = `https://claude.ai/api/organizations/${orgId}/chat_conversations/${conversationId}?${new URLSearchParams(FULL_CONVERSATION_PARAMS)}`;
 
-    const response = await fetch(url, {
+    const response = await scheduledFetch(url, {
       credentials: 'include',
       headers: { 'Accept': 'application/json' }
-    });
+    }, stats);
 
     if (!response.ok) {
-      throw new Error(`Failed to fetch conversation: ${response.status}`);
+      const error = new Error(`Failed to fetch conversation: ${response.status}`);
+      error.status = response.status;
+      throw error;
     }
 
     return await response.json();
   }
 
-  // Fetch all conversations list
-  async function fetchAllConversations(orgId) {
-    const url = `https://claude.ai/api/organizations/${orgId}/chat_conversations`;
+  // Fetch one page of the conversations list (newest first)
+  // Returns { data, nextCursor, hasMore }; the API may return a plain array or a wrapped page with a cursor
+  async function fetchConversationPage(orgId, { offset = 0, limit = 100, cursor = null } = {}) {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (cursor) {
+      params.set('cursor', cursor);
+    } else {
+      params.set('offset', String(offset));
+    }
+    const url = `https://claude.ai/api/organizations/${orgId}/chat_conversations?${params}`;
 
-    const response = await fetch(url, {
+    const response = await scheduledFetch(url, {
       credentials: 'include',
       headers: { 'Accept': 'application/json' }
     });
 
     if (!response.ok) {
-      throw new Error(`Failed to fetch conversations: ${response.status}`);
+      const error = new Error(`Failed to fetch conversations: ${response.status}`);
+      error.status = response.status;
+      throw error;
     }
 
-    return await response.json();
+    const json = await response.json();
+    if (Array.isArray(json)) {
+      return { data: json, nextCursor: null };
+    }
+    return {
+      data: json.data || json.conversations || [],
+      nextCursor: json.next_cursor || null,
+      hasMore: typeof json.has_more === 'boolean' ? json.has_more : undefined
+    };
+  }
+
+  // Check whether an error means the claude.ai session has expired
+  // A 403 can also mean one conversation isn't accessible, so it only counts if the org list is refused too
+  async function isAuthFailure(error) {
+    if (error.status === 401) return true;
+    if (error.status !== 403) return false;
+    try {
+      const response = await scheduledFetch('https://claude.ai/api/organizations', {
+        credentials: 'include',
+        headers: { 'Accept': 'application/json' }
+      });
+      return response.status === 401 || response.status === 403;
+    } catch (e) {
+      return false;
+    }
   }
 
   // Listen for messages from popup
@@ -86,7 +151,7 @@
       sendResponse({ status: 'refreshing' });
     }
 
-    if (request.action === 'fetchAllConversations') {
+    if (request.action === 'fetchConversationPage') {
       chrome.storage.local.get(['orgId'], async (result) => {
         const id = orgId || result.orgId || request.orgId;
         if (!id) {
@@ -94,10 +159,10 @@
           return;
         }
         try {
-          const conversations = await fetchAllConversations(id);
-          sendResponse({ data: conversations, orgId: id });
+          const page = await fetchConversationPage(id, request);
+          sendResponse({ ...page, orgId: id });
         } catch (e) {
-          sendResponse({ error: e.message });
+          sendResponse({ error: e.message, authExpired: await isAuthFailure(e) });
         }
       });
       return true;
@@ -110,11 +175,15 @@
           sendResponse({ error: 'No org ID available.' });
           return;
         }
+        if (request.concurrency) {
+          setSchedulerConcurrency(request.concurrency);
+        }
+        const stats = createRequestStats();
         try {
-          const data = await fetchConversation(id, request.conversationId);
-          sendResponse({ data: data });
+          const data = await fetchConversation(id, request.conversationId, stats);
+          sendResponse({ data: data, stats: stats });
         } catch (e) {
-          sendResponse({ error: e.message });
+          sendResponse({ error: e.message, authExpired: await isAuthFailure(e), stats: stats });
         }
       });
       return true;
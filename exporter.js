@@ -0,0 +1,4957 @@
+// Export engine - conversion and packaging shared by the popup, side panel and import page
+// Loaded as a plain script before the page script; JSZip and scheduler.js must be loaded first
+
+// ============================================================================
+// Export Settings
+// ============================================================================
+
+// Pages load and save these under chrome.storage.local.exporterSettings
+const defaultSettings = {
+  filenameStyle: 'title',
+  includeThinking: true,
+  allBranches: false,
+  datasetGranularity: 'conversation',
+  datasetThinking: true,
+  datasetToolCalls: true,
+  incrementalExport: false,
+  maxConversations: 0,
+  fetchConcurrency: 3,
+  backupSchedule: 'off',
+  backupKeep: 5,
+  exportTarget: 'downloads',
+  downloadFolder: 'ClaudeTakeout/{date}',
+  downloadConflict: 'uniquify',
+  autoArchive: false,
+  showShortcuts: true,
+  useSidePanel: false
+};
+
+let settings = { ...defaultSettings };
+
+// ============================================================================
+// Mojibake Fix: Repair UTF-8 text corrupted via CP1252 misinterpretation
+// ============================================================================
+
+// Build comprehensive mojibake repair map (UTF-8 -> CP1252 corruption patterns)
+function buildMojibakeMap() {
+  const map = {};
+
+  // Unicode ranges to cover
+  const ranges = [
+    [0x0080, 0x00FF],  // Latin-1 Supplement (ä ö ü ß etc.)
+    [0x0100, 0x017F],  // Latin Extended-A
+    [0x0180, 0x024F],  // Latin Extended-B
+    [0x0250, 0x02AF],  // IPA Extensions
+    [0x0370, 0x03FF],  // Greek and Coptic (α β γ ζ etc.)
+    [0x0400, 0x04FF],  // Cyrillic
+    [0x1E00, 0x1EFF],  // Latin Extended Additional
+    [0x2000, 0x206F],  // General Punctuation (" " ' ' – —)
+    [0x2070, 0x209F],  // Superscripts and Subscripts (⁰ ¹ ² ³ ₀ ₁ ₂ etc.)
+    [0x20A0, 0x20CF],  // Currency Symbols (€)
+    [0x2100, 0x214F],  // Letter-like Symbols (ℕ ℤ ℚ ℝ etc.)
+    [0x2150, 0x218F],  // Number Forms (fractions, Roman numerals)
+    [0x2190, 0x21FF],  // Arrows (→ ← ↔ etc.)
+    [0x2200, 0x22FF],  // Mathematical Operators (∀ ∃ ∈ ∅ etc.)
+    [0x2300, 0x23FF],  // Miscellaneous Technical
+    [0x2500, 0x257F],  // Box Drawing (┌ ─ │ ├ └ etc.)
+    [0x2580, 0x259F],  // Block Elements (▀ ▄ █ etc.)
+    [0x25A0, 0x25FF],  // Geometric Shapes (□ ◇ ○ ◆ ● etc.)
+    [0x2600, 0x26FF],  // Miscellaneous Symbols (☀ ★ etc.)
+    [0x2700, 0x27BF],  // Dingbats (✓ ✗ etc.)
+    [0x1F300, 0x1F5FF],  // Miscellaneous Symbols and Pictographs (🔥 🎉 etc.)
+    [0x1F600, 0x1F64F],  // Emoticons (😀 😂 etc.)
+    [0x1F680, 0x1F6FF],  // Transport and Map Symbols (🚀 etc.)
+    [0x1F900, 0x1F9FF],  // Supplemental Symbols and Pictographs (🤔 etc.)
+  ];
+
+  for (const [start, end] of ranges) {
+    for (let cp = start; cp <= end; cp++) {
+      try {
+        const char = String.fromCodePoint(cp);
+        // Encode as UTF-8, then decode those bytes as CP1252
+        const utf8Bytes = new TextEncoder().encode(char);
+        const broken = new TextDecoder('windows-1252').decode(utf8Bytes);
+        if (broken !== char && broken.length > 0) {
+          map[broken] = char;
+        }
+      } catch (e) {
+        // Skip characters that can't be processed
+      }
+    }
+  }
+
+  return map;
+}
+
+// Lazy-loaded mojibake map
+let mojibakeMap = null;
+
+// Fix mojibake in text
+function fixMojibake(text) {
+  if (!text) return text;
+
+  // Build map on first use
+  if (!mojibakeMap) {
+    mojibakeMap = buildMojibakeMap();
+  }
+
+  // Sort by length (longest first) to handle multi-char sequences properly
+  const sortedKeys = Object.keys(mojibakeMap).sort((a, b) => b.length - a.length);
+
+  for (const broken of sortedKeys) {
+    text = text.split(broken).join(mojibakeMap[broken]);
+  }
+
+  return text;
+}
+
+// UTF-8 BOM prefix for markdown files (ensures browsers interpret encoding correctly)
+const UTF8_BOM = '\uFEFF';
+
+// Add UTF-8 BOM to text content for proper browser rendering
+function withBOM(text) {
+  return UTF8_BOM + (text || '');
+}
+
+// Add file to folder with BOM if it's a markdown file
+function addFileWithBOM(folder, path, content) {
+  if (path.endsWith('.md')) {
+    folder.file(path, withBOM(content));
+  } else {
+    folder.file(path, content);
+  }
+}
+
+// ============================================================================
+// Priority 1 Fixes: Core improvements matching claude_json_to_md.py
+// ============================================================================
+
+// Get appropriate code fence based on content (uses 4 backticks if content has 3)
+function getCodeFence(content) {
+  if (content && content.includes('```')) {
+    return '````';
+  }
+  return '```';
+}
+
+// Trace message chain from current_leaf_message_uuid through parent_message_uuid
+// This handles branched conversations where user may have regenerated responses
+function getMessageChain(data) {
+  const messages = data.chat_messages || [];
+  const currentLeaf = data.current_leaf_message_uuid;
+
+  // Build lookup by uuid
+  const byUuid = {};
+  for (const msg of messages) {
+    byUuid[msg.uuid] = msg;
+  }
+
+  // If no leaf specified, fall back to all messages in order
+  if (!currentLeaf || !byUuid[currentLeaf]) {
+    return messages;
+  }
+
+  // Trace back from leaf to root
+  const chain = [];
+  let uuid = currentLeaf;
+  while (uuid && byUuid[uuid]) {
+    chain.push(byUuid[uuid]);
+    uuid = byUuid[uuid].parent_message_uuid;
+  }
+
+  // Reverse to get chronological order
+  chain.reverse();
+  return chain;
+}
+
+// Build the full message tree from parent_message_uuid links
+// Children are sorted by creation time so alternatives appear in the order they were generated
+function buildMessageTree(data) {
+  const messages = data.chat_messages || [];
+
+  const byUuid = {};
+  for (const msg of messages) {
+    byUuid[msg.uuid] = msg;
+  }
+
+  const children = {};
+  const roots = [];
+  for (const msg of messages) {
+    const parent = msg.parent_message_uuid;
+    if (parent && byUuid[parent]) {
+      if (!children[parent]) children[parent] = [];
+      children[parent].push(msg);
+    } else {
+      roots.push(msg);
+    }
+  }
+
+  const byCreation = (a, b) =>
+    String(a.created_at || '').localeCompare(String(b.created_at || '')) || (a.index || 0) - (b.index || 0);
+  roots.sort(byCreation);
+  for (const uuid of Object.keys(children)) {
+    children[uuid].sort(byCreation);
+  }
+
+  return { byUuid, children, roots };
+}
+
+// Walk the whole message tree depth-first, returning messages in reading order
+// Each entry is { msg, fork } where fork is set on the first message of every alternative at a fork point:
+// { branch: leaf number the alternative leads to first, position, of, kind, active }
+function walkMessageTree(data) {
+  const messages = data.chat_messages || [];
+
+  // Conversations without parent links can't branch - treat them as one linear chain
+  if (!messages.some(m => m.parent_message_uuid)) {
+    return messages.map(msg => ({ msg, fork: null }));
+  }
+
+  const { children, roots } = buildMessageTree(data);
+  const activeUuids = new Set(getMessageChain(data).map(m => m.uuid));
+
+  const entries = [];
+  let leafCount = 0;
+
+  // Iterative DFS (long conversations would overflow a recursive walk)
+  const stack = [];
+  for (let i = roots.length - 1; i >= 0; i--) {
+    stack.push({ msg: roots[i], siblings: roots });
+  }
+
+  while (stack.length > 0) {
+    const { msg, siblings } = stack.pop();
+    let fork = null;
+    if (siblings.length > 1) {
+      fork = {
+        // In pre-order the next leaf reached is the first leaf under this alternative
+        branch: leafCount + 1,
+        position: siblings.indexOf(msg) + 1,
+        of: siblings.length,
+        kind: msg.sender === 'human' ? 'Edited prompt' : 'Regenerated response',
+        active: activeUuids.has(msg.uuid)
+      };
+    }
+    entries.push({ msg, fork });
+
+    const kids = children[msg.uuid] || [];
+    if (kids.length === 0) {
+      leafCount++;
+    }
+    for (let i = kids.length - 1; i >= 0; i--) {
+      stack.push({ msg: kids[i], siblings: kids });
+    }
+  }
+
+  return entries;
+}
+
+// Get every root-to-leaf path in the conversation, numbered in tree order
+// Returns [{ number, leafUuid, messages, active }] - exactly one branch per leaf message
+function getMessageBranches(data) {
+  const entries = walkMessageTree(data);
+  const { byUuid, children } = buildMessageTree(data);
+  const activeLeaf = getMessageChain(data).slice(-1)[0];
+
+  // Linear conversations (no parent links) are a single branch
+  if (!entries.some(e => e.msg.parent_message_uuid)) {
+    const messages = entries.map(e => e.msg);
+    return messages.length > 0 ? [{ number: 1, leafUuid: messages[messages.length - 1].uuid, messages, active: true }] : [];
+  }
+
+  const branches = [];
+  for (const { msg } of entries) {
+    if ((children[msg.uuid] || []).length > 0) continue;
+
+    const chain = [];
+    let uuid = msg.uuid;
+    while (uuid && byUuid[uuid]) {
+      chain.push(byUuid[uuid]);
+      uuid = byUuid[uuid].parent_message_uuid;
+    }
+    chain.reverse();
+
+    branches.push({
+      number: branches.length + 1,
+      leafUuid: msg.uuid,
+      messages: chain,
+      active: activeLeaf ? activeLeaf.uuid === msg.uuid : false
+    });
+  }
+
+  return branches;
+}
+
+// Describe a branch for headings and indexes, e.g. "Branch 2 of 3 (active)"
+function formatBranchLabel(branch, total) {
+  return `Branch ${branch.number} of ${total}${branch.active ? ' (active)' : ''}`;
+}
+
+// Filename for a branch transcript inside the branches/ folder
+function getBranchFilename(branch) {
+  return `branch_${String(branch.number).padStart(2, '0')}${branch.active ? '_active' : ''}.md`;
+}
+
+// Extract artifacts from create_file tool calls
+function extractArtifacts(data) {
+  const artifacts = {};
+  const messages = data.chat_messages || [];
+
+  // Map content types to file extensions
+  const typeToExt = {
+    'text/markdown': '.md',
+    'text/plain': '.txt',
+    'text/html': '.html',
+    'text/css': '.css',
+    'text/csv': '.csv',
+    'application/javascript': '.js',
+    'application/json': '.json',
+    'application/xml': '.xml',
+    'text/x-python': '.py',
+    'text/x-java': '.java',
+    'text/x-c': '.c',
+    'text/x-cpp': '.cpp',
+    'text/x-csharp': '.cs',
+    'text/x-ruby': '.rb',
+    'text/x-go': '.go',
+    'text/x-rust': '.rs',
+    'text/x-swift': '.swift',
+    'text/x-kotlin': '.kt',
+    'text/x-typescript': '.ts',
+    'text/x-sql': '.sql',
+    'text/x-shell': '.sh',
+    'text/x-yaml': '.yaml',
+    'image/svg+xml': '.svg'
+  };
+
+  for (const msg of messages) {
+    for (const block of (msg.content || [])) {
+      if (block.type === 'tool_use') {
+        const input = block.input || {};
+
+        // Handle create_file tool
+        if (block.name === 'create_file') {
+          const path = input.path || '';
+          const fileText = input.file_text || '';
+
+          if (path && fileText) {
+            const filename = path.split('/').pop();
+            artifacts[filename] = fileText;
+          }
+        }
+
+        // Handle artifacts tool (command: create/update)
+        if (block.name === 'artifacts' && (input.command === 'create' || input.command === 'update')) {
+          const content = input.content || '';
+          const id = input.id || '';
+          const title = input.title || '';
+          const type = input.type || 'text/plain';
+
+          if (content && (id || title)) {
+            // Determine extension from type
+            let ext = typeToExt[type] || '.txt';
+
+            // Use title if available, otherwise id
+            let baseName = title || id;
+            // Sanitize filename
+            baseName = baseName.replace(/[^a-zA-Z0-9_\-\s]/g, '').replace(/\s+/g, '_').substring(0, 60);
+
+            // Add extension if not already present
+            const filename = baseName.endsWith(ext) ? baseName : baseName + ext;
+            artifacts[filename] = content;
+          }
+        }
+      }
+    }
+  }
+
+  return artifacts;
+}
+
+// Extract text attachments from messages (pasted files with extracted_content)
+// Returns { attachments: { filename -> content }, idToFilename: { id -> filename } }
+function extractTextAttachments(data) {
+  const attachments = {};
+  const idToFilename = {};  // Maps attachment id to final filename
+  const messages = data.chat_messages || [];
+  let unnamedCounter = 1;
+
+  // Binary file extensions that should be changed to .txt when we only have extracted text
+  const binaryExtensions = ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.odt', '.ods', '.odp', '.rtf'];
+
+  for (const msg of messages) {
+    for (const att of (msg.attachments || [])) {
+      let filename = att.file_name || '';
+      const content = att.extracted_content || '';
+      const attId = att.id || '';
+
+      // Skip if no content
+      if (!content) continue;
+
+      // Generate filename if not provided
+      if (!filename) {
+        const ext = att.file_type || 'txt';
+        filename = `attachment_${unnamedCounter}.${ext}`;
+        unnamedCounter++;
+      }
+
+      // For binary file types, change extension to .txt since we only have extracted text
+      const ext = filename.includes('.') ? filename.substring(filename.lastIndexOf('.')).toLowerCase() : '';
+      if (binaryExtensions.includes(ext)) {
+        const base = filename.substring(0, filename.lastIndexOf('.'));
+        filename = `${base}.txt`;
+      }
+
+      // Handle duplicate filenames by adding a suffix
+      let finalName = filename;
+      let counter = 1;
+      while (attachments[finalName]) {
+        const currentExt = filename.includes('.') ? filename.substring(filename.lastIndexOf('.')) : '';
+        const base = filename.includes('.') ? filename.substring(0, filename.lastIndexOf('.')) : filename;
+        finalName = `${base}_${counter}${currentExt}`;
+        counter++;
+      }
+      // Apply mojibake fix to repair encoding issues
+      attachments[finalName] = fixMojibake(content);
+
+      // Track the id -> filename mapping for linking in prompts
+      if (attId) {
+        idToFilename[attId] = finalName;
+      }
+    }
+  }
+
+  return { attachments, idToFilename };
+}
+
+// Extract web search sources from conversation
+function extractWebSources(data) {
+  const sources = [];
+  const seenUrls = new Set();
+  const messages = data.chat_messages || [];
+
+  for (const msg of messages) {
+    for (const item of (msg.content || [])) {
+      // Look for web_search tool results
+      if (item.type === 'tool_result' && item.name === 'web_search') {
+        for (const content of (item.content || [])) {
+          if (content.type === 'knowledge' && content.url && !seenUrls.has(content.url)) {
+            seenUrls.add(content.url);
+            sources.push({
+              title: content.title || 'Untitled',
+              url: content.url,
+              domain: content.metadata?.site_domain || '',
+              siteName: content.metadata?.site_name || '',
+              isCitable: content.is_citable !== false,
+              isMissing: content.is_missing === true
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return sources;
+}
+
+// Generate sources.md from web search sources
+function generateSources(sources) {
+  if (!sources || sources.length === 0) return null;
+
+  // Group by domain
+  const byDomain = {};
+  for (const src of sources) {
+    const domain = src.domain || 'other';
+    if (!byDomain[domain]) byDomain[domain] = [];
+    byDomain[domain].push(src);
+  }
+
+  const lines = [
+    '# Web Sources',
+    '',
+    `*${sources.length} sources from web search*`,
+    '',
+  ];
+
+  // Sort domains by count
+  const sortedDomains = Object.keys(byDomain).sort((a, b) => byDomain[b].length - byDomain[a].length);
+
+  for (const domain of sortedDomains) {
+    const domainSources = byDomain[domain];
+    lines.push(`## ${domain} (${domainSources.length})`);
+    lines.push('');
+    for (const src of domainSources) {
+      const flags = [];
+      if (src.isMissing) flags.push('missing');
+      if (!src.isCitable) flags.push('not citable');
+      const flagStr = flags.length > 0 ? ` *(${flags.join(', ')})*` : '';
+      lines.push(`- [${src.title}](${src.url})${flagStr}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+// Extract uploaded file metadata from messages (PDFs, images, CSVs, etc. in files_v2)
+function extractUploadedFiles(data, organizationId = null) {
+  const files = [];
+  const messages = data.chat_messages || [];
+
+  for (const msg of messages) {
+    for (const file of (msg.files_v2 || [])) {
+      if (file.success && file.file_name) {
+        const fileInfo = {
+          filename: file.file_name,
+          uuid: file.file_uuid || '',
+          kind: file.file_kind || 'unknown',
+          createdAt: file.created_at || '',
+          path: file.path || ''  // Always capture path for wiggle endpoint
+        };
+
+        // Get URL for documents (PDFs)
+        if (file.document_asset?.url) {
+          fileInfo.url = file.document_asset.url;
+          fileInfo.pageCount = file.document_asset.page_count;
+        }
+
+        // Get URL for images
+        if (file.image_asset?.url) {
+          fileInfo.url = file.image_asset.url;
+        }
+
+        // Mark blob files for potential JSON fallback extraction
+        if (file.file_kind === 'blob') {
+          fileInfo.isBlob = true;
+        }
+
+        files.push(fileInfo);
+      }
+    }
+  }
+
+  return files;
+}
+
+// Fetch project metadata (name, description, prompt_template) from API
+// Returns the raw project API response, or null if it can't be fetched
+async function fetchProjectJson(organizationId, projectUuid) {
+  try {
+    const projectUrl = `https://claude.ai/api/organizations/${organizationId}/projects/${projectUuid}`;
+    const projectResponse = await scheduledFetch(projectUrl, { credentials: 'include' });
+    if (projectResponse.ok) {
+      const projectJson = await projectResponse.json();
+      console.log(`Fetched project metadata: ${projectJson.name || projectUuid}`);
+      return projectJson;
+    }
+    console.log(`Failed to fetch project metadata: ${projectResponse.status}`);
+  } catch (e) {
+    console.log(`Error fetching project metadata: ${e.message}`);
+  }
+  return null;
+}
+
+// Fetch the org's projects (raw API entries)
+// Throws if the list can't be fetched
+async function fetchProjectList(organizationId) {
+  const response = await scheduledFetch(`https://claude.ai/api/organizations/${organizationId}/projects`, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch projects: ${response.status}`);
+  }
+  const projects = await response.json();
+  return Array.isArray(projects) ? projects : [];
+}
+
+// Fetch the org's projects and map their uuids to names
+// Returns {} if the list can't be fetched
+async function fetchProjectNames(organizationId) {
+  try {
+    const projects = await fetchProjectList(organizationId);
+    return Object.fromEntries(projects.map(p => [p.uuid, p.name || '']));
+  } catch (e) {
+    console.log(`Error fetching project list: ${e.message}`);
+  }
+  return {};
+}
+
+// Fetch project metadata and documents list for a conversation's project
+// Returns { files: array of { uuid, filename, content }, docsJson: raw docs API response, projectJson: raw project API response }
+async function fetchProjectDocs(data, organizationId) {
+  return fetchProjectKnowledge(organizationId, data.project_uuid || data.project?.uuid);
+}
+
+// Fetch a project's metadata and its full knowledge base (documents) from API
+// Returns the same shape as fetchProjectDocs()
+async function fetchProjectKnowledge(organizationId, projectUuid) {
+  if (!projectUuid || !organizationId) {
+    return { files: [], docsJson: null, projectJson: null };
+  }
+
+  const projectJson = await fetchProjectJson(organizationId, projectUuid);
+
+  try {
+    // Fetch list of project docs
+    const listUrl = `https://claude.ai/api/organizations/${organizationId}/projects/${projectUuid}/docs`;
+    const listResponse = await scheduledFetch(listUrl, { credentials: 'include' });
+    if (!listResponse.ok) {
+      console.log(`Failed to fetch project docs list: ${listResponse.status}`);
+      return { files: [], docsJson: null, projectJson };
+    }
+
+    const docs = await listResponse.json();
+    if (!Array.isArray(docs) || docs.length === 0) {
+      return { files: [], docsJson: docs, projectJson };
+    }
+
+    console.log(`Found ${docs.length} project docs`);
+
+    // Extract content from docs - check if already in list response first
+    const projectFiles = [];
+    for (const doc of docs) {
+      const docUuid = doc.uuid;
+      const filename = doc.file_name || doc.filename || doc.name || `doc_${docUuid}.txt`;
+
+      // Check if content is already in the docs list response
+      let content = doc.content || doc.text || doc.body || null;
+
+      // If not in list response, try fetching from content endpoints
+      if (!content) {
+        const contentUrls = [
+          `https://claude.ai/api/organizations/${organizationId}/projects/${projectUuid}/docs/${docUuid}/content`,
+          `https://claude.ai/api/organizations/${organizationId}/projects/${projectUuid}/docs/${docUuid}`,
+        ];
+
+        for (const url of contentUrls) {
+          try {
+            const response = await scheduledFetch(url, { credentials: 'include' });
+            if (response.ok) {
+              const contentType = response.headers.get('content-type') || '';
+              if (contentType.includes('application/json')) {
+                const json = await response.json();
+                content = json.content || json.text || json.body || JSON.stringify(json, null, 2);
+              } else {
+                content = await response.text();
+              }
+              break;
+            }
+          } catch (e) {
+            console.log(`Failed to fetch ${url}: ${e.message}`);
+          }
+        }
+      }
+
+      if (content) {
+        projectFiles.push({
+          uuid: docUuid,
+          filename: filename,
+          content: fixMojibake(content)
+        });
+      } else {
+        console.log(`Could not fetch content for doc: ${filename}`);
+      }
+    }
+
+    return { files: projectFiles, docsJson: docs, projectJson };
+  } catch (e) {
+    console.error('Error fetching project docs:', e);
+    return { files: [], docsJson: null, projectJson };
+  }
+}
+
+// Extract blob file content from view tool results in the conversation
+// Blob files are ephemeral and can't be downloaded, but their content appears in tool results
+function extractBlobContent(data, blobPath) {
+  const messages = data.chat_messages || [];
+
+  for (const msg of messages) {
+    for (const item of (msg.content || [])) {
+      // Look for tool_result from "view" that read this file
+      if (item.type === 'tool_result' && item.name === 'view') {
+        for (const content of (item.content || [])) {
+          if (content.type === 'text' && content.text) {
+            // Check if this tool result is for our file
+            // The text starts with "Here's the content of {path} with line numbers:"
+            if (content.text.includes(blobPath) ||
+                content.text.includes(blobPath.replace(/ /g, '_'))) {
+              // Extract the actual content (skip the header line and line numbers)
+              const lines = content.text.split('\n');
+              // Find where the actual content starts (after "Here's the content of...")
+              let startIdx = 0;
+              for (let i = 0; i < lines.length; i++) {
+                if (lines[i].match(/^\s*\d+\t/)) {
+                  startIdx = i;
+                  break;
+                }
+              }
+              // Remove line number prefixes and reconstruct content
+              const contentLines = lines.slice(startIdx).map(line => {
+                // Format is "    123\tActual content here"
+                const match = line.match(/^\s*\d+\t(.*)$/);
+                return match ? match[1] : line;
+              });
+              // Apply mojibake fix to repair encoding issues
+              return fixMojibake(contentLines.join('\n'));
+            }
+          }
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Extract project files from view tool results (/mnt/project/ files)
+// These are files from Claude Projects that were viewed during the conversation
+function extractProjectFiles(data) {
+  const projectFiles = {};
+  const messages = data.chat_messages || [];
+
+  for (const msg of messages) {
+    for (const item of (msg.content || [])) {
+      // Look for tool_result from "view" that read project files
+      if (item.type === 'tool_result' && item.name === 'view') {
+        for (const content of (item.content || [])) {
+          if (content.type === 'text' && content.text) {
+            // Check if this is project file content (not directory listing)
+            const headerMatch = content.text.match(/^Here's the content of (\/mnt\/project\/[^\s]+) with line numbers:/);
+            if (headerMatch) {
+              const filePath = headerMatch[1];
+              const filename = filePath.split('/').pop();
+
+              // Extract the actual content (skip the header line and line numbers)
+              const lines = content.text.split('\n');
+              let startIdx = 0;
+              for (let i = 0; i < lines.length; i++) {
+                if (lines[i].match(/^\s*\d+\t/)) {
+                  startIdx = i;
+                  break;
+                }
+              }
+              // Remove line number prefixes and reconstruct content
+              const contentLines = lines.slice(startIdx).map(line => {
+                const match = line.match(/^\s*\d+\t(.*)$/);
+                return match ? match[1] : line;
+              });
+
+              // Apply mojibake fix to repair encoding issues
+              projectFiles[filename] = fixMojibake(contentLines.join('\n'));
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return projectFiles;
+}
+
+// Fetch a file from Claude's API with fallback URLs
+// Returns { blob, fromApi: true } or throws if all API attempts fail
+async function fetchUploadedFile(url, fileUuid = null, orgId = null, conversationId = null, filePath = null) {
+  const urlsToTry = [];
+
+  // Primary URL (if provided and not empty)
+  if (url) {
+    const fullUrl = url.startsWith('http') ? url : `https://claude.ai${url}`;
+    urlsToTry.push(fullUrl);
+  }
+
+  // Wiggle endpoint using conversation ID and file path (works for blobs too!)
+  if (orgId && conversationId && filePath) {
+    const encodedPath = encodeURIComponent(filePath);
+    urlsToTry.push(`https://claude.ai/api/organizations/${orgId}/conversations/${conversationId}/wiggle/download-file?path=${encodedPath}`);
+  }
+
+  // Fallback URLs using file UUID if available
+  if (fileUuid && orgId) {
+    urlsToTry.push(`https://claude.ai/api/${orgId}/files/${fileUuid}/preview`);
+    urlsToTry.push(`https://claude.ai/api/${orgId}/files/${fileUuid}/content`);
+    urlsToTry.push(`https://claude.ai/api/organizations/${orgId}/files/${fileUuid}/content`);
+    urlsToTry.push(`https://claude.ai/api/organizations/${orgId}/files/${fileUuid}`);
+  }
+
+  if (urlsToTry.length === 0) {
+    throw new Error('No URL or path available to fetch file');
+  }
+
+  let lastError = null;
+  let lastStatus = null;
+  for (const tryUrl of urlsToTry) {
+    try {
+      const response = await scheduledFetch(tryUrl, {
+        credentials: 'include',
+        headers: { 'Accept': '*/*' }
+      });
+
+      if (response.ok) {
+        return await response.blob();
+      }
+      lastStatus = response.status;
+      lastError = new Error(`HTTP ${response.status}`);
+    } catch (err) {
+      lastError = err;
+    }
+  }
+
+  throw new Error(`Failed to fetch file (${lastStatus || lastError?.message || 'unknown error'}). Tried ${urlsToTry.length} URLs.`);
+}
+
+// Get syntax highlighting language from filename extension
+function getLanguageFromFilename(filename) {
+  const ext = (filename.match(/\.([^.]+)$/) || [])[1] || '';
+  const extToLang = {
+    'js': 'javascript',
+    'ts': 'typescript',
+    'tsx': 'tsx',
+    'jsx': 'jsx',
+    'py': 'python',
+    'rb': 'ruby',
+    'java': 'java',
+    'c': 'c',
+    'cpp': 'cpp',
+    'cs': 'csharp',
+    'go': 'go',
+    'rs': 'rust',
+    'swift': 'swift',
+    'kt': 'kotlin',
+    'sql': 'sql',
+    'sh': 'bash',
+    'bash': 'bash',
+    'zsh': 'bash',
+    'html': 'html',
+    'css': 'css',
+    'json': 'json',
+    'xml': 'xml',
+    'yaml': 'yaml',
+    'yml': 'yaml',
+    'md': 'markdown',
+    'svg': 'svg',
+    'csv': 'csv',
+    'txt': 'text'
+  };
+  return extToLang[ext.toLowerCase()] || 'text';
+}
+
+// Process text with citations, inserting footnote markers with HTML anchors
+// Returns { text: processedText, references: [{num, title, url, domain, backlinks: []}] }
+function processTextWithCitations(text, citations) {
+  if (!citations || !Array.isArray(citations) || citations.length === 0) {
+    return { text, references: [] };
+  }
+
+  // Sort citations by start_index ascending
+  const sortedByPosition = [...citations].sort((a, b) => a.start_index - b.start_index);
+
+  // Track unique URLs and assign reference numbers
+  const urlToNum = new Map();
+  const urlOccurrenceCount = new Map();
+  const references = [];
+  let refNum = 0;
+
+  // First pass: assign reference numbers to unique URLs
+  for (const cit of sortedByPosition) {
+    if (!urlToNum.has(cit.url)) {
+      refNum++;
+      urlToNum.set(cit.url, refNum);
+      urlOccurrenceCount.set(cit.url, 0);
+      references.push({
+        num: refNum,
+        title: cit.title || 'Source',
+        url: cit.url || '',
+        domain: cit.metadata?.site_domain || cit.metadata?.site_name || '',
+        backlinks: []
+      });
+    }
+  }
+
+  // Second pass: build citation markers with anchors
+  const insertedPositions = new Set();
+  const positionToMarker = new Map();
+
+  for (const cit of sortedByPosition) {
+    if (insertedPositions.has(cit.end_index)) continue;
+    insertedPositions.add(cit.end_index);
+
+    const num = urlToNum.get(cit.url);
+    const refIndex = num - 1;
+    const occCount = urlOccurrenceCount.get(cit.url);
+    urlOccurrenceCount.set(cit.url, occCount + 1);
+
+    // Create anchor ID and label (3, 3:1, 3:2, etc.)
+    const anchorId = occCount === 0 ? `cite-${num}` : `cite-${num}-${occCount}`;
+    const label = occCount === 0 ? `${num}` : `${num}:${occCount}`;
+
+    // Store backlink info
+    references[refIndex].backlinks.push({ id: anchorId, label: label });
+
+    // Create marker with HTML anchor for back-linking
+    const marker = `<sup id="${anchorId}">[[${num}]](#ref-${num})</sup>`;
+    positionToMarker.set(cit.end_index, marker);
+  }
+
+  // Third pass: insert markers from end to start
+  let processedText = text;
+  const sortedPositions = [...positionToMarker.keys()].sort((a, b) => b - a);
+
+  for (const pos of sortedPositions) {
+    const marker = positionToMarker.get(pos);
+    if (pos <= processedText.length) {
+      processedText = processedText.slice(0, pos) + marker + processedText.slice(pos);
+    }
+  }
+
+  return { text: processedText, references };
+}
+
+// Format references as a list with clickable back-reference links [1], [1:1], [1:2]
+function formatReferences(references) {
+  if (!references || references.length === 0) return '';
+
+  const lines = ['', '---', '**References:**', ''];
+  for (const ref of references) {
+    const domain = ref.domain ? ` - ${ref.domain}` : '';
+
+    // Build back-reference links: [1], [1:1], [1:2], [1:3]
+    const backlinks = ref.backlinks && ref.backlinks.length > 0
+      ? ' ' + ref.backlinks.map(bl => `[[${bl.label}]](#${bl.id})`).join(', ')
+      : '';
+
+    lines.push(`${ref.num}. <span id="ref-${ref.num}">[${ref.title}](${ref.url})</span>${domain}${backlinks}`);
+  }
+  return lines.join('\n');
+}
+
+// Get syntax highlighting language from content type
+function getLanguageFromType(type) {
+  const typeToLang = {
+    'text/markdown': 'markdown',
+    'text/plain': 'text',
+    'text/html': 'html',
+    'text/css': 'css',
+    'text/csv': 'csv',
+    'application/javascript': 'javascript',
+    'application/json': 'json',
+    'application/xml': 'xml',
+    'text/x-python': 'python',
+    'text/x-java': 'java',
+    'text/x-c': 'c',
+    'text/x-cpp': 'cpp',
+    'text/x-csharp': 'csharp',
+    'text/x-ruby': 'ruby',
+    'text/x-go': 'go',
+    'text/x-rust': 'rust',
+    'text/x-swift': 'swift',
+    'text/x-kotlin': 'kotlin',
+    'text/x-typescript': 'typescript',
+    'text/x-sql': 'sql',
+    'text/x-shell': 'bash',
+    'text/x-yaml': 'yaml',
+    'image/svg+xml': 'svg',
+    'application/vnd.ant.react': 'jsx',
+    'application/vnd.ant.code': 'text'
+  };
+  return typeToLang[type] || 'text';
+}
+
+// Get thinking summary - uses summaries array when available, falls back to first line
+function getThinkingSummary(block) {
+  // Check for summaries array (Claude's actual summary)
+  if (block.summaries && Array.isArray(block.summaries) && block.summaries.length > 0) {
+    const lastSummary = block.summaries[block.summaries.length - 1];
+    if (lastSummary.summary) {
+      return lastSummary.summary;
+    }
+  }
+
+  // Fall back to first line of thinking text
+  const text = block.thinking || '';
+  if (!text) return '';
+
+  const firstLine = text.split('\n')[0];
+  if (firstLine.length > 80) {
+    return firstLine.substring(0, 77) + '...';
+  }
+  return firstLine;
+}
+
+// ============================================================================
+// Priority 2: Enhanced Export - Zip Archive Support
+// ============================================================================
+
+// Extract all code blocks from text
+function extractCodeBlocks(text) {
+  return splitCodeBlocks(text).filter(segment => segment.type === 'code');
+}
+
+// Split text into prose and fenced code segments, in order
+// Returns [{ type: 'text', text }, { type: 'code', lang, code }]
+function splitCodeBlocks(text) {
+  const pattern = /```(\w*)\n([\s\S]*?)```/g;
+  const segments = [];
+  let lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      segments.push({ type: 'text', text: text.substring(lastIndex, match.index) });
+    }
+    segments.push({ type: 'code', lang: match[1] || 'text', code: match[2].trim() });
+    lastIndex = pattern.lastIndex;
+  }
+  if (lastIndex < text.length) {
+    segments.push({ type: 'text', text: text.substring(lastIndex) });
+  }
+  return segments;
+}
+
+// Extract all URLs from text
+function extractUrls(text) {
+  const urls = [];
+  const seen = new Set();
+
+  // Markdown links [text](url)
+  const mdLinks = text.matchAll(/\[([^\]]*)\]\(([^)]+)\)/g);
+  for (const match of mdLinks) {
+    if (!seen.has(match[2])) {
+      seen.add(match[2]);
+      urls.push({ url: match[2], context: match[1] });
+    }
+  }
+
+  // Bare URLs
+  const bareUrls = text.matchAll(/(?<!\()https?:\/\/[^\s)>\]]+/g);
+  for (const match of bareUrls) {
+    if (!seen.has(match[0])) {
+      seen.add(match[0]);
+      urls.push({ url: match[0], context: '' });
+    }
+  }
+
+  return urls;
+}
+
+// Sanitize text for use as filename
+function sanitizeForFilename(text, maxLen = 50) {
+  let clean = text.replace(/\*+/g, '').replace(/#+\s*/g, '').trim();
+  clean = clean.replace(/[^\w\s-]/g, '').replace(/[\s-]+/g, '_');
+  clean = clean.replace(/^_+|_+$/g, '').toLowerCase();
+  return clean.substring(0, maxLen) || 'untitled';
+}
+
+// Extract first heading from markdown
+function extractFirstHeading(text) {
+  const match = text.match(/^#+\s+(.+)$/m);
+  if (match) return match[1].trim();
+
+  const boldMatch = text.match(/^\*\*(.+?)\*\*/);
+  if (boldMatch) return boldMatch[1].trim();
+
+  const firstLine = text.trim().split('\n')[0].substring(0, 50);
+  return firstLine || 'response';
+}
+
+// Extract text-only content from a message (no thinking/tools)
+function extractResponseTextOnly(msg, artifacts) {
+  const lines = [];
+  for (const block of (msg.content || [])) {
+    if (block.type === 'text') {
+      lines.push(block.text || '');
+    }
+  }
+  return lines.join('\n\n');
+}
+
+// Get the features enabled for a conversation (Web Search, Artifacts, Thinking) from its settings
+function getConversationFeatures(data) {
+  const settings = data.settings || {};
+  const features = [];
+  if (settings.enabled_web_search) features.push('Web Search');
+  if (settings.preview_feature_uses_artifacts) features.push('Artifacts');
+  if (settings.paprika_mode === 'extended') features.push('Extended Thinking');
+  else if (settings.paprika_mode === 'normal') features.push('Thinking');
+  return features;
+}
+
+// Generate meta.md content
+function generateMeta(data, messages, artifacts, codeBlocks, urls, textAttachments = {}, projectFiles = {}, uploadedFiles = [], webSources = []) {
+  const title = data.name || 'Claude Conversation';
+  const promptCount = messages.filter(m => m.sender === 'human').length;
+  const responseCount = messages.filter(m => m.sender === 'assistant').length;
+
+  let promptWords = 0, responseWords = 0;
+  for (const msg of messages) {
+    const text = extractTextContent(msg.content);
+    const words = text.split(/\s+/).filter(w => w).length;
+    if (msg.sender === 'human') promptWords += words;
+    else if (msg.sender === 'assistant') responseWords += words;
+  }
+
+  // Count languages
+  const langCounts = {};
+  for (const block of codeBlocks) {
+    langCounts[block.lang] = (langCounts[block.lang] || 0) + 1;
+  }
+
+  // Calculate duration
+  const firstMsgTime = messages[0]?.created_at ? new Date(messages[0].created_at) : null;
+  const lastMsgTime = messages[messages.length - 1]?.created_at ? new Date(messages[messages.length - 1].created_at) : null;
+  let duration = '';
+  if (firstMsgTime && lastMsgTime) {
+    const diffMs = lastMsgTime - firstMsgTime;
+    const diffMins = Math.floor(diffMs / 60000);
+    const diffHours = Math.floor(diffMins / 60);
+    const diffDays = Math.floor(diffHours / 24);
+    if (diffDays > 0) duration = `${diffDays}d ${diffHours % 24}h`;
+    else if (diffHours > 0) duration = `${diffHours}h ${diffMins % 60}m`;
+    else duration = `${diffMins}m`;
+  }
+
+  const features = getConversationFeatures(data);
+
+  const lines = [
+    '# Conversation Metadata',
+    '',
+    '## Basic Info',
+    '',
+    '| Property | Value |',
+    '|----------|-------|',
+    `| **Title** | ${title} |`,
+    `| **UUID** | \`${data.uuid || ''}\` |`,
+    `| **Model** | ${getModelName(data)} |`,
+    `| **Created** | ${formatTimestamp(data.created_at)} |`,
+    `| **Updated** | ${formatTimestamp(data.updated_at)} |`,
+    `| **Duration** | ${duration || 'N/A'} |`,
+    `| **Starred** | ${data.is_starred ? '⭐ Yes' : 'No'} |`,
+    `| **Features** | ${features.length > 0 ? features.join(', ') : 'None'} |`,
+    `| **Link** | [Open in Claude](https://claude.ai/chat/${data.uuid}) |`,
+    '',
+    '## Statistics',
+    '',
+    '| Metric | Count |',
+    '|--------|-------|',
+    `| **Total Messages** | ${messages.length} |`,
+    `| **Prompts** | ${promptCount} |`,
+    `| **Responses** | ${responseCount} |`,
+    `| **Artifacts** | ${Object.keys(artifacts).length} |`,
+    `| **Text Attachments** | ${Object.keys(textAttachments).length} |`,
+    `| **Project Files** | ${Object.keys(projectFiles).length} |`,
+    `| **Uploaded Files** | ${uploadedFiles.length} |`,
+    `| **Code Blocks** | ${codeBlocks.length} |`,
+    `| **Links** | ${urls.length} |`,
+    `| **Web Sources** | ${webSources.length} |`,
+    '',
+    '## Word Counts',
+    '',
+    '| Type | Words |',
+    '|------|-------|',
+    `| **Prompts** | ${promptWords.toLocaleString()} |`,
+    `| **Responses** | ${responseWords.toLocaleString()} |`,
+    `| **Total** | ${(promptWords + responseWords).toLocaleString()} |`,
+    '',
+    '## Timeline',
+    '',
+    '| Event | Timestamp |',
+    '|-------|-----------|',
+    `| **First Message** | ${formatTimestamp(messages[0]?.created_at)} |`,
+    `| **Last Message** | ${formatTimestamp(messages[messages.length - 1]?.created_at)} |`,
+    `| **Exported** | ${formatTimestamp(new Date().toISOString())} |`,
+    '',
+    '## Code Languages',
+    ''
+  ];
+
+  if (Object.keys(langCounts).length > 0) {
+    lines.push('| Language | Count |');
+    lines.push('|----------|-------|');
+    const sorted = Object.entries(langCounts).sort((a, b) => b[1] - a[1]);
+    for (const [lang, count] of sorted) {
+      lines.push(`| ${lang} | ${count} |`);
+    }
+  } else {
+    lines.push('*No code blocks found*');
+  }
+
+  return lines.join('\n');
+}
+
+// Generate prompts.md content
+function generatePrompts(messages, responseFiles, attachmentIdMap = {}) {
+  const lines = ['# Prompts', ''];
+  let promptNum = 0;
+  let responseNum = 0;
+
+  // Build prompt to response mapping
+  const promptResponses = {};
+  for (const msg of messages) {
+    if (msg.sender === 'human') {
+      promptNum++;
+      promptResponses[promptNum] = [];
+    } else if (msg.sender === 'assistant') {
+      const text = extractResponseTextOnly(msg, {});
+      if (text.trim()) {
+        responseNum++;
+        if (promptNum > 0) {
+          promptResponses[promptNum].push(responseNum);
+        }
+      }
+    }
+  }
+
+  promptNum = 0;
+  for (const msg of messages) {
+    if (msg.sender !== 'human') continue;
+    promptNum++;
+
+    lines.push(`## Prompt ${promptNum}`);
+    lines.push(`*${formatTimestamp(msg.created_at)}*`);
+    lines.push('');
+
+    // Check for text attachments (pasted files) - include those with extracted_content even if no file_name
+    const attachments = (msg.attachments || []).filter(a => a.extracted_content);
+    if (attachments.length > 0) {
+      lines.push('**Attachments:**');
+      for (const att of attachments) {
+        // Use id-to-filename map for accurate filename, fall back to original file_name
+        const attId = att.id || '';
+        const filename = (attId && attachmentIdMap[attId]) ? attachmentIdMap[attId] : (att.file_name || 'unknown');
+        lines.push(`- [${filename}](attachments/${encodeURIComponent(filename)})`);
+      }
+      lines.push('');
+    }
+
+    // Check for uploaded files (PDFs, images)
+    const uploads = (msg.files_v2 || []).filter(f => f.success && f.file_name);
+    if (uploads.length > 0) {
+      lines.push('**Uploaded Files:**');
+      for (const file of uploads) {
+        const pageInfo = file.document_asset?.page_count ? ` (${file.document_asset.page_count} pages)` : '';
+        lines.push(`- [${file.file_name}](uploads/${encodeURIComponent(file.file_name)})${pageInfo}`);
+      }
+      lines.push('');
+    }
+
+    lines.push(extractTextContent(msg.content));
+    lines.push('');
+
+    const resps = promptResponses[promptNum] || [];
+    if (resps.length > 0) {
+      lines.push('**Responses:**');
+      for (const rNum of resps) {
+        const rf = responseFiles[rNum - 1];
+        if (rf) {
+          lines.push(`- Response ${rNum}: [text](responses/${rf.pure}) | [full](responses/${rf.full})`);
+        }
+      }
+      lines.push('');
+    }
+
+    lines.push('---');
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+// Generate responses_text_only.md
+function generateResponsesTextOnly(messages, artifacts) {
+  const lines = ['# Responses (Text Only)', ''];
+  let responseNum = 0;
+  let promptNum = 0;
+
+  for (const msg of messages) {
+    if (msg.sender === 'human') {
+      promptNum++;
+    } else if (msg.sender === 'assistant') {
+      const text = extractResponseTextOnly(msg, artifacts);
+      if (text.trim()) {
+        responseNum++;
+        lines.push(`## Response ${responseNum}`);
+        lines.push(`*[Prompt ${promptNum}](prompts.md#prompt-${promptNum})*`);
+        lines.push('');
+        lines.push(text);
+        lines.push('');
+        lines.push('---');
+        lines.push('');
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// Generate code_snippets.md
+function generateCodeSnippets(codeBlocks) {
+  const lines = [
+    '# Code Snippets',
+    '',
+    `*${codeBlocks.length} code blocks extracted from conversation*`,
+    ''
+  ];
+
+  codeBlocks.forEach((block, i) => {
+    lines.push(`## Snippet ${i + 1} (${block.lang})`);
+    lines.push('');
+    lines.push(`\`\`\`${block.lang}`);
+    lines.push(block.code);
+    lines.push('```');
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+// Generate combined links_and_sources.md
+function generateLinksAndSources(urls, webSources) {
+  if (urls.length === 0 && webSources.length === 0) return null;
+
+  const lines = [
+    '# Links & Sources',
+    '',
+  ];
+
+  // Web Sources section
+  if (webSources.length > 0) {
+    lines.push('## Web Search Sources');
+    lines.push('');
+    lines.push(`*${webSources.length} sources from web search*`);
+    lines.push('');
+
+    // Group by domain
+    const byDomain = {};
+    for (const src of webSources) {
+      const domain = src.domain || 'other';
+      if (!byDomain[domain]) byDomain[domain] = [];
+      byDomain[domain].push(src);
+    }
+
+    // Sort domains by count
+    const sortedDomains = Object.keys(byDomain).sort((a, b) => byDomain[b].length - byDomain[a].length);
+
+    for (const domain of sortedDomains) {
+      const domainSources = byDomain[domain];
+      lines.push(`### ${domain} (${domainSources.length})`);
+      lines.push('');
+      for (const src of domainSources) {
+        const flags = [];
+        if (src.isMissing) flags.push('missing');
+        if (!src.isCitable) flags.push('not citable');
+        const flagStr = flags.length > 0 ? ` *(${flags.join(', ')})*` : '';
+        lines.push(`- [${src.title}](${src.url})${flagStr}`);
+      }
+      lines.push('');
+    }
+  }
+
+  // Links section
+  if (urls.length > 0) {
+    lines.push('## Links in Conversation');
+    lines.push('');
+    lines.push(`*${urls.length} unique URLs found in text*`);
+    lines.push('');
+
+    // Group by domain
+    const domains = {};
+    for (const { url, context } of urls) {
+      try {
+        const domain = new URL(url).hostname;
+        if (!domains[domain]) domains[domain] = [];
+        domains[domain].push({ url, context });
+      } catch {
+        if (!domains['other']) domains['other'] = [];
+        domains['other'].push({ url, context });
+      }
+    }
+
+    for (const domain of Object.keys(domains).sort()) {
+      lines.push(`### ${domain}`);
+      lines.push('');
+      for (const { url, context } of domains[domain]) {
+        if (context) {
+          lines.push(`- [${context}](${url})`);
+        } else {
+          lines.push(`- <${url}>`);
+        }
+      }
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// ============================================================================
+// Branch Map & Diff
+// ============================================================================
+
+// Short single-line preview of a message for tree listings
+function getMessageSnippet(msg, maxLen = 60) {
+  const text = extractTextContent(msg.content).replace(/\s+/g, ' ').trim();
+  if (!text) return '(no text)';
+  return text.length > maxLen ? text.substring(0, maxLen - 3) + '...' : text;
+}
+
+// Escape text for inclusion in HTML markup
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Word-level diff between two texts
+// Returns [{ type: 'equal' | 'insert' | 'delete', text }]
+function diffWords(oldText, newText) {
+  const a = (oldText || '').split(/(\s+)/).filter(t => t);
+  const b = (newText || '').split(/(\s+)/).filter(t => t);
+
+  // Strip common prefix/suffix so the LCS table only covers the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  const push = (type, text) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) last.text += text;
+    else ops.push({ type, text });
+  };
+
+  for (let i = 0; i < start; i++) push('equal', a[i]);
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n * m > 4000000) {
+    // Too large for an LCS table - show the changed middle as a single replacement
+    push('delete', midA.join(''));
+    push('insert', midB.join(''));
+  } else {
+    // lcs[i][j] = LCS length of midA[i..] and midB[j..], stored row-major
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        push('equal', midA[i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+        push('delete', midA[i++]);
+      } else {
+        push('insert', midB[j++]);
+      }
+    }
+    while (i < n) push('delete', midA[i++]);
+    while (j < m) push('insert', midB[j++]);
+  }
+
+  for (let i = endA; i < a.length; i++) push('equal', a[i]);
+
+  return ops;
+}
+
+// Render word diff operations as HTML with <del>/<ins> markup
+function renderWordDiff(ops) {
+  return ops.map(op => {
+    const text = escapeHtml(op.text).replace(/\n/g, '<br>');
+    if (op.type === 'delete') return `<del>${text}</del>`;
+    if (op.type === 'insert') return `<ins>${text}</ins>`;
+    return text;
+  }).join('');
+}
+
+// Get all fork points in the message tree
+// Returns [{ parent, alternatives }] in tree order; parent is null for a fork at the very first prompt
+function getForkPoints(data) {
+  const { byUuid, children, roots } = buildMessageTree(data);
+  const forks = [];
+  const seen = new Set();
+
+  if (roots.length > 1 && (data.chat_messages || []).some(m => m.parent_message_uuid)) {
+    forks.push({ parent: null, alternatives: roots });
+  }
+
+  for (const { msg } of walkMessageTree(data)) {
+    const parentUuid = msg.parent_message_uuid;
+    const siblings = children[parentUuid] || [];
+    if (siblings.length > 1 && byUuid[parentUuid] && !seen.has(parentUuid)) {
+      seen.add(parentUuid);
+      forks.push({ parent: byUuid[parentUuid], alternatives: siblings });
+    }
+  }
+
+  return forks;
+}
+
+// Generate branch_map.md - indented tree of the conversation showing every fork
+function generateBranchMap(data, branches) {
+  const entries = walkMessageTree(data);
+  const { children } = buildMessageTree(data);
+  const forkCount = getForkPoints(data).length;
+  const branchByLeaf = {};
+  for (const branch of branches) {
+    branchByLeaf[branch.leafUuid] = branch;
+  }
+
+  const lines = [
+    '# Branch Map',
+    '',
+    `*${branches.length} branches from ${forkCount} fork point${forkCount === 1 ? '' : 's'}*`,
+    '',
+    '👤 = prompt, 🤖 = response, 🔀 = fork (regenerated response or edited prompt)',
+    ''
+  ];
+
+  // Each alternative at a fork is nested one level deeper than its parent
+  const depthByUuid = {};
+  for (const { msg, fork } of entries) {
+    let depth = depthByUuid[msg.parent_message_uuid] || 0;
+    const indent = () => '  '.repeat(depth);
+
+    if (fork) {
+      lines.push(`${indent()}- 🔀 **Branch ${fork.branch}** - ${fork.kind} (${fork.position} of ${fork.of})${fork.active ? ' *(active)*' : ''}`);
+      depth++;
+    }
+    depthByUuid[msg.uuid] = depth;
+
+    const icon = msg.sender === 'human' ? '👤' : '🤖';
+    let line = `${indent()}- ${icon} ${formatTimestamp(msg.created_at)} - ${getMessageSnippet(msg)}`;
+
+    const branch = branchByLeaf[msg.uuid];
+    if (branch && (children[msg.uuid] || []).length === 0) {
+      line += ` → [${formatBranchLabel(branch, branches.length)}](branches/${getBranchFilename(branch)})`;
+    }
+    lines.push(line);
+  }
+
+  return lines.join('\n');
+}
+
+// Generate branch_diff.md - competing alternatives at each fork side by side, with word-level diffs
+function generateBranchDiff(data) {
+  const forks = getForkPoints(data);
+  const lines = [
+    '# Branch Diff',
+    '',
+    `*${forks.length} fork point${forks.length === 1 ? '' : 's'} - each alternative is compared against the first one*`,
+    '',
+    'Removed words are shown as <del>deleted</del>, added words as <ins>inserted</ins>.',
+    ''
+  ];
+
+  forks.forEach((forkPoint, i) => {
+    const { parent, alternatives } = forkPoint;
+    const kind = alternatives[0].sender === 'human' ? 'Edited prompt' : 'Regenerated response';
+    const texts = alternatives.map(msg => msg.sender === 'human'
+      ? extractTextContent(msg.content)
+      : extractResponseTextOnly(msg, {}));
+
+    lines.push(`## Fork ${i + 1}: ${kind} (${alternatives.length} alternatives)`);
+    lines.push('');
+    if (parent) {
+      const parentLabel = parent.sender === 'human' ? 'Prompt' : 'Response';
+      lines.push(`*After ${parentLabel.toLowerCase()} from ${formatTimestamp(parent.created_at)}:* ${getMessageSnippet(parent, 100)}`);
+    } else {
+      lines.push('*At the start of the conversation*');
+    }
+    lines.push('');
+
+    // Side-by-side view of all alternatives
+    lines.push('<table>');
+    lines.push('<tr>' + alternatives.map((msg, j) => `<th>Alternative ${j + 1}<br><small>${escapeHtml(formatTimestamp(msg.created_at))}</small></th>`).join('') + '</tr>');
+    lines.push('<tr>' + texts.map(text => `<td valign="top">${escapeHtml(text).replace(/\n/g, '<br>')}</td>`).join('') + '</tr>');
+    lines.push('</table>');
+    lines.push('');
+
+    for (let j = 1; j < alternatives.length; j++) {
+      lines.push(`### Alternative 1 → Alternative ${j + 1}`);
+      lines.push('');
+      lines.push(renderWordDiff(diffWords(texts[0], texts[j])));
+      lines.push('');
+    }
+
+    lines.push('---');
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+// Populate a zip folder with all conversation files
+// Used by both single export and mega-zip export
+// Options: skipProjectFiles leaves out the project/ folder, for archives that hold the project's files once at the top
+async function populateConversationFolder(folder, data, onProgress = null, organizationId = null, options = {}) {
+  const { skipProjectFiles = false } = options;
+  const title = data.name || 'Claude Conversation';
+  const messages = getMessageChain(data);
+  const artifacts = extractArtifacts(data);
+  const { attachments: textAttachments, idToFilename: attachmentIdMap } = extractTextAttachments(data);
+  const uploadedFiles = extractUploadedFiles(data, organizationId);
+  const webSources = extractWebSources(data);
+
+  // Fetch project files: try API first (full files), fall back to view tool results (truncated)
+  let projectFiles = {};
+  let projectFilesFromApi = false;
+  let projectDocsJson = null;
+  let projectMetadataJson = null;
+  if (!skipProjectFiles && (data.project_uuid || data.project?.uuid)) {
+    if (onProgress) onProgress('Fetching project files...');
+    const { files: apiDocs, docsJson, projectJson } = await fetchProjectDocs(data, organizationId);
+    projectDocsJson = docsJson;
+    projectMetadataJson = projectJson;
+    if (apiDocs.length > 0) {
+      projectFilesFromApi = true;
+      for (const doc of apiDocs) {
+        projectFiles[doc.filename] = doc.content;
+      }
+      console.log(`Fetched ${apiDocs.length} project files from API`);
+    }
+  }
+  // Fall back to extracted view tool results if API didn't return files
+  if (!skipProjectFiles && Object.keys(projectFiles).length === 0) {
+    projectFiles = extractProjectFiles(data);
+  }
+
+  // Collect all text for extraction
+  let allText = '';
+  for (const msg of messages) {
+    allText += extractTextContent(msg.content) + '\n\n';
+  }
+  for (const content of Object.values(artifacts)) {
+    allText += content + '\n\n';
+  }
+
+  const codeBlocks = extractCodeBlocks(allText);
+  const urls = extractUrls(allText);
+
+  // Generate response files
+  const responseFiles = [];
+  let responseNum = 0;
+  let promptNum = 0;
+  const responseToPrompt = {};
+
+  // First pass: map responses to prompts
+  for (const msg of messages) {
+    if (msg.sender === 'human') {
+      promptNum++;
+    } else if (msg.sender === 'assistant') {
+      const text = extractResponseTextOnly(msg, artifacts);
+      if (text.trim()) {
+        responseNum++;
+        responseToPrompt[responseNum] = promptNum;
+      }
+    }
+  }
+
+  // Second pass: create response files
+  responseNum = 0;
+  promptNum = 0;
+  for (const msg of messages) {
+    if (msg.sender === 'human') {
+      promptNum++;
+      continue;
+    }
+    if (msg.sender !== 'assistant') continue;
+
+    const textOnly = extractResponseTextOnly(msg, artifacts);
+    if (!textOnly.trim()) continue;
+
+    responseNum++;
+    const pNum = responseToPrompt[responseNum];
+
+    // Get full content with meta
+    const fullContent = [];
+    const fullReferences = [];
+    const fullSeenUrls = new Set();
+
+    for (const block of (msg.content || [])) {
+      if (block.type === 'thinking') {
+        const thinkingText = block.thinking || '';
+        if (thinkingText) {
+          const fence = getCodeFence(thinkingText);
+          const summary = getThinkingSummary(block);
+          fullContent.push(`${fence}plaintext`);
+          fullContent.push(`Thought process: ${summary}`);
+          fullContent.push('');
+          fullContent.push(thinkingText);
+          fullContent.push(fence);
+          fullContent.push('');
+        }
+      } else if (block.type === 'tool_use') {
+        const toolName = block.name || '';
+        const input = block.input || {};
+        if (toolName === 'web_search') {
+          fullContent.push('```plaintext');
+          fullContent.push(`Web Search: ${input.query || ''}`);
+          fullContent.push('```');
+          fullContent.push('');
+        } else if (toolName === 'create_file') {
+          const filename = (input.path || '').split('/').pop();
+          const fileText = input.file_text || '';
+          fullContent.push('```plaintext');
+          fullContent.push(`Creating artifact: ${filename}`);
+          fullContent.push('```');
+          fullContent.push('');
+          if (fileText) {
+            const lang = getLanguageFromFilename(filename);
+            const fence = getCodeFence(fileText);
+            fullContent.push(`${fence}${lang}`);
+            fullContent.push(fileText);
+            fullContent.push(fence);
+            fullContent.push('');
+          }
+        } else if (toolName === 'artifacts' && (input.command === 'create' || input.command === 'update')) {
+          const title = input.title || input.id || 'Untitled';
+          const action = input.command === 'update' ? 'Updating' : 'Creating';
+          const content = input.content || '';
+          const type = input.type || 'text/plain';
+          fullContent.push('```plaintext');
+          fullContent.push(`${action} artifact: ${title}`);
+          fullContent.push('```');
+          fullContent.push('');
+          if (content) {
+            const lang = getLanguageFromType(type);
+            const fence = getCodeFence(content);
+            fullContent.push(`${fence}${lang}`);
+            fullContent.push(content);
+            fullContent.push(fence);
+            fullContent.push('');
+          }
+        }
+      } else if (block.type === 'tool_result' && block.name === 'web_search') {
+        if (Array.isArray(block.content)) {
+          for (const result of block.content) {
+            if (result.type === 'knowledge') {
+              fullContent.push(`> **${result.title || ''}** [${result.metadata?.site_domain || ''}](${result.url || ''})`);
+              fullContent.push('>');
+            }
+          }
+          fullContent.push('');
+        }
+      } else if (block.type === 'text') {
+        const rawText = block.text || '';
+        const citations = block.citations || [];
+
+        if (citations.length > 0) {
+          const { text: processedText, references } = processTextWithCitations(rawText, citations);
+          fullContent.push(processedText);
+
+          // Collect unique references
+          for (const ref of references) {
+            if (!fullSeenUrls.has(ref.url)) {
+              fullSeenUrls.add(ref.url);
+              fullReferences.push(ref);
+            }
+          }
+        } else {
+          fullContent.push(rawText);
+        }
+        fullContent.push('');
+      }
+    }
+
+    // Add references section if any citations were found
+    if (fullReferences.length > 0) {
+      fullContent.push(formatReferences(fullReferences));
+    }
+
+    const heading = extractFirstHeading(textOnly);
+    const baseName = sanitizeForFilename(heading);
+    const pureFilename = `${String(responseNum).padStart(3, '0')}_${baseName}_response.md`;
+    const fullFilename = `${String(responseNum).padStart(3, '0')}_${baseName}_response.full.md`;
+
+    addFileWithBOM(folder, `responses/${pureFilename}`, textOnly);
+    const backLink = `← [Prompt ${pNum}](../prompts.md#prompt-${pNum})\n\n---\n\n`;
+    addFileWithBOM(folder, `responses/${fullFilename}`, backLink + fullContent.join('\n'));
+
+    responseFiles.push({ pure: pureFilename, full: fullFilename, heading, type: 'response' });
+  }
+
+  // Add artifacts
+  for (const [filename, content] of Object.entries(artifacts)) {
+    addFileWithBOM(folder, `artefacts/${filename}`, content);
+  }
+
+  // Add text attachments (pasted files)
+  for (const [filename, content] of Object.entries(textAttachments)) {
+    addFileWithBOM(folder, `attachments/${filename}`, content);
+  }
+
+  // Add project files (from Claude Projects, viewed during conversation)
+  // If from JSON extraction (truncated), add _truncated suffix to filename
+  const projectFileMapping = {}; // original filename -> actual filename in zip
+  for (const [filename, content] of Object.entries(projectFiles)) {
+    let actualFilename = filename;
+    if (!projectFilesFromApi) {
+      // Add _truncated before the extension
+      const lastDot = filename.lastIndexOf('.');
+      if (lastDot > 0) {
+        actualFilename = filename.substring(0, lastDot) + '_truncated' + filename.substring(lastDot);
+      } else {
+        actualFilename = filename + '_truncated';
+      }
+    }
+    projectFileMapping[filename] = actualFilename;
+    addFileWithBOM(folder, `project/${actualFilename}`, content);
+  }
+
+  // Save raw docs.json if we fetched from API
+  if (projectDocsJson) {
+    folder.file('project/docs.json', JSON.stringify(projectDocsJson, null, 2));
+  }
+
+  // Save project.json and prompt_template.md if we fetched project metadata
+  if (projectMetadataJson) {
+    folder.file('project/project.json', JSON.stringify(projectMetadataJson, null, 2));
+    // Extract prompt_template as separate markdown file
+    if (projectMetadataJson.prompt_template) {
+      addFileWithBOM(folder, 'project/prompt_template.md', fixMojibake(projectMetadataJson.prompt_template));
+    }
+  }
+
+  // Fetch and add uploaded files (PDFs, images, etc.)
+  const downloadedFiles = [];
+  const failedFiles = [];
+  const usedUploadNames = new Set();
+
+  for (let i = 0; i < uploadedFiles.length; i++) {
+    const file = uploadedFiles[i];
+    if (onProgress) {
+      onProgress(20 + Math.floor((i / uploadedFiles.length) * 40), 100, `Processing: ${file.filename}`);
+    }
+
+    // Handle duplicate filenames
+    let finalName = file.filename;
+    let counter = 1;
+    while (usedUploadNames.has(finalName)) {
+      const ext = file.filename.includes('.') ? file.filename.substring(file.filename.lastIndexOf('.')) : '';
+      const base = file.filename.includes('.') ? file.filename.substring(0, file.filename.lastIndexOf('.')) : file.filename;
+      finalName = `${base}_${counter}${ext}`;
+      counter++;
+    }
+    usedUploadNames.add(finalName);
+
+    try {
+      const conversationId = data.uuid;
+
+      // Try API download first (works for all file types including blobs via wiggle endpoint)
+      try {
+        const blob = await fetchUploadedFile(
+          file.url || null,
+          file.uuid,
+          organizationId,
+          conversationId,
+          file.path
+        );
+        folder.file(`uploads/${finalName}`, blob);
+        downloadedFiles.push({ name: finalName, fromJson: false });
+      } catch (apiErr) {
+        // API failed - try JSON fallback for blob files
+        if (file.isBlob && file.path) {
+          const content = extractBlobContent(data, file.path);
+          if (content) {
+            folder.file(`uploads/${finalName}`, content);
+            downloadedFiles.push({ name: finalName, fromJson: true });
+          } else {
+            throw new Error(`API failed (${apiErr.message}) and content not found in JSON`);
+          }
+        } else {
+          throw apiErr;
+        }
+      }
+    } catch (err) {
+      console.error(`Failed to process ${file.filename}:`, err);
+      failedFiles.push({ filename: file.filename, error: `${err.message} | UUID: ${file.uuid || 'none'} | Path: ${file.path || 'none'}` });
+    }
+  }
+
+  // Generate all markdown files (with BOM for proper browser encoding)
+  addFileWithBOM(folder, 'meta.md', generateMeta(data, messages, artifacts, codeBlocks, urls, textAttachments, projectFiles, downloadedFiles, webSources));
+  addFileWithBOM(folder, 'prompts.md', generatePrompts(messages, responseFiles, attachmentIdMap));
+  addFileWithBOM(folder, 'responses_text_only.md', generateResponsesTextOnly(messages, artifacts));
+
+  if (codeBlocks.length > 0) {
+    addFileWithBOM(folder, 'code_snippets.md', generateCodeSnippets(codeBlocks));
+  }
+  const linksAndSourcesContent = generateLinksAndSources(urls, webSources);
+  if (linksAndSourcesContent) {
+    addFileWithBOM(folder, 'links_and_sources.md', linksAndSourcesContent);
+  }
+
+  addFileWithBOM(folder, 'full_chat.md', convertToMarkdown(data, { embedArtifacts: true, includeThinking: settings.includeThinking, allBranches: settings.allBranches }));
+  addFileWithBOM(folder, 'integrated_chat.md', convertToMarkdown(data, { embedArtifacts: true, seamlessMd: true, includeThinking: settings.includeThinking }));
+  folder.file('original.json', JSON.stringify(data, null, 2));
+
+  // One transcript per leaf when exporting all branches
+  const branchFiles = [];
+  if (settings.allBranches) {
+    const branches = getMessageBranches(data);
+    if (branches.length > 1) {
+      for (const branch of branches) {
+        const label = formatBranchLabel(branch, branches.length);
+        const branchData = { ...data, current_leaf_message_uuid: branch.leafUuid };
+        const filename = getBranchFilename(branch);
+        addFileWithBOM(folder, `branches/${filename}`, convertToMarkdown(branchData, {
+          embedArtifacts: true,
+          includeThinking: settings.includeThinking,
+          branch: label
+        }));
+        branchFiles.push({ filename, label, messages: branch.messages.length, leaf: branch.messages[branch.messages.length - 1] });
+      }
+      addFileWithBOM(folder, 'branch_map.md', generateBranchMap(data, branches));
+      addFileWithBOM(folder, 'branch_diff.md', generateBranchDiff(data));
+    }
+  }
+
+  // Generate README.md
+  const readmeLines = [
+    `# ${title}`,
+    '',
+    `**Created:** ${formatTimestamp(data.created_at)}`,
+    `**Exported:** ${formatTimestamp(new Date().toISOString())}`,
+    `**Link:** [https://claude.ai/chat/${data.uuid}](https://claude.ai/chat/${data.uuid})`,
+    '',
+    '---',
+    '',
+    '## Overview',
+    '',
+    '- [meta.md](meta.md) *(statistics, metadata, word counts)*',
+    `- [full_chat.md](full_chat.md) *(complete conversation with embedded artifacts${branchFiles.length > 0 ? ', all branches' : ''})*`,
+    '- [integrated_chat.md](integrated_chat.md) *(markdown artifacts flow seamlessly)*',
+    '- [original.json](original.json) *(original export)*',
+    '',
+    '---',
+    '',
+    `## Prompts (${messages.filter(m => m.sender === 'human').length})`,
+    '',
+    '- [prompts.md](prompts.md)',
+    '',
+    '---',
+    '',
+    `## Responses (${responseFiles.length})`,
+    '',
+    '- [responses_text_only.md](responses_text_only.md) *(pure text, no thinking/tools)*',
+    ''
+  ];
+
+  if (codeBlocks.length > 0 || urls.length > 0 || webSources.length > 0) {
+    readmeLines.push('---');
+    readmeLines.push('');
+    readmeLines.push('## Extras');
+    readmeLines.push('');
+    if (codeBlocks.length > 0) {
+      readmeLines.push(`- [code_snippets.md](code_snippets.md) *(${codeBlocks.length} code blocks)*`);
+    }
+    if (urls.length > 0 || webSources.length > 0) {
+      const parts = [];
+      if (webSources.length > 0) parts.push(`${webSources.length} web sources`);
+      if (urls.length > 0) parts.push(`${urls.length} links`);
+      readmeLines.push(`- [links_and_sources.md](links_and_sources.md) *(${parts.join(', ')})*`);
+    }
+    readmeLines.push('');
+  }
+
+  for (const rf of responseFiles) {
+    const display = rf.heading.length > 50 ? rf.heading.substring(0, 47) + '...' : rf.heading;
+    readmeLines.push(`- ${display}: [text](responses/${rf.pure}) | [full](responses/${rf.full})`);
+  }
+
+  // Add branches section (only when exporting all branches of a branched conversation)
+  if (branchFiles.length > 0) {
+    readmeLines.push('');
+    readmeLines.push('---');
+    readmeLines.push('');
+    readmeLines.push(`## Branches (${branchFiles.length})`);
+    readmeLines.push('');
+    readmeLines.push('*Prompts and responses above follow the active branch*');
+    readmeLines.push('');
+    readmeLines.push('- [branch_map.md](branch_map.md) *(tree of every fork with timestamps)*');
+    readmeLines.push('- [branch_diff.md](branch_diff.md) *(competing alternatives side by side with word diffs)*');
+    readmeLines.push('');
+    for (const bf of branchFiles) {
+      readmeLines.push(`- [${bf.label}](branches/${bf.filename}) - ${bf.messages} messages, last ${formatTimestamp(bf.leaf?.created_at)}`);
+    }
+  }
+
+  readmeLines.push('');
+  readmeLines.push('---');
+  readmeLines.push('');
+  readmeLines.push(`## Artefacts (${Object.keys(artifacts).length})`);
+  readmeLines.push('');
+  for (const filename of Object.keys(artifacts).sort()) {
+    readmeLines.push(`- [${filename}](artefacts/${encodeURIComponent(filename)})`);
+  }
+
+  // Add text attachments section
+  if (Object.keys(textAttachments).length > 0) {
+    readmeLines.push('');
+    readmeLines.push('---');
+    readmeLines.push('');
+    readmeLines.push(`## Text Attachments (${Object.keys(textAttachments).length})`);
+    readmeLines.push('');
+    for (const filename of Object.keys(textAttachments).sort()) {
+      readmeLines.push(`- [${filename}](attachments/${encodeURIComponent(filename)})`);
+    }
+  }
+
+  // Add project files section
+  const hasProjectContent = Object.keys(projectFiles).length > 0 || projectMetadataJson || projectDocsJson;
+  if (hasProjectContent) {
+    readmeLines.push('');
+    readmeLines.push('---');
+    readmeLines.push('');
+    readmeLines.push(`## Project`);
+    readmeLines.push('');
+
+    // Add metadata files first
+    if (projectMetadataJson) {
+      readmeLines.push(`- [project.json](project/project.json) - Project metadata`);
+      if (projectMetadataJson.prompt_template) {
+        readmeLines.push(`- [prompt_template.md](project/prompt_template.md) - System prompt template`);
+      }
+    }
+    if (projectDocsJson) {
+      readmeLines.push(`- [docs.json](project/docs.json) - Document list metadata`);
+    }
+
+    // Add project files
+    if (Object.keys(projectFiles).length > 0) {
+      readmeLines.push('');
+      readmeLines.push(`### Documents (${Object.keys(projectFiles).length})`);
+      readmeLines.push('');
+      if (projectFilesFromApi) {
+        readmeLines.push('*Full files downloaded from Claude Project*');
+      } else {
+        readmeLines.push("*Partial files extracted from conversation (truncated by Claude's view tool)*");
+      }
+      readmeLines.push('');
+      for (const filename of Object.keys(projectFiles).sort()) {
+        const actualFilename = projectFileMapping[filename] || filename;
+        readmeLines.push(`- [${actualFilename}](project/${encodeURIComponent(actualFilename)})`);
+      }
+    }
+  }
+
+  // Add uploads section (PDFs, images, etc.)
+  if (downloadedFiles.length > 0 || failedFiles.length > 0) {
+    readmeLines.push('');
+    readmeLines.push('---');
+    readmeLines.push('');
+    readmeLines.push(`## Uploaded Files (${downloadedFiles.length}${failedFiles.length > 0 ? `, ${failedFiles.length} failed` : ''})`);
+    readmeLines.push('');
+    // Sort by name and display with source indicator
+    const sorted = [...downloadedFiles].sort((a, b) => a.name.localeCompare(b.name));
+    for (const file of sorted) {
+      const sourceNote = file.fromJson ? ' *(from JSON)*' : '';
+      readmeLines.push(`- [${file.name}](uploads/${encodeURIComponent(file.name)})${sourceNote}`);
+    }
+    if (failedFiles.length > 0) {
+      readmeLines.push('');
+      readmeLines.push('**Failed to download:**');
+      for (const { filename, error } of failedFiles) {
+        readmeLines.push(`- ${filename}: ${error}`);
+      }
+    }
+  }
+
+  addFileWithBOM(folder, 'README.md', readmeLines.join('\n'));
+
+  return { messages, artifacts, textAttachments, uploadedFiles: downloadedFiles, failedFiles, codeBlocks, urls, responseFiles };
+}
+
+// Create full zip export with progress callback
+async function createZipExport(data, onProgress = null, organizationId = null) {
+  const zip = new JSZip();
+  const title = data.name || 'Claude Conversation';
+
+  const report = (step, total, msg) => {
+    if (onProgress) onProgress(step, total, msg);
+  };
+
+  report(5, 100, 'Analyzing conversation...');
+
+  // Use shared helper to populate the zip
+  const result = await populateConversationFolder(zip, data, onProgress, organizationId);
+
+  report(90, 100, 'Compressing archive...');
+
+  // Generate and download zip
+  const zipBlob = await zip.generateAsync({
+    type: 'blob',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 6 }
+  });
+
+  report(98, 100, 'Downloading...');
+
+  // Prepend project name if conversation is part of a project
+  const projectName = data.project?.name;
+  const projectPrefix = projectName ? `[${sanitizeForFilename(projectName, 30)}-project]_` : '';
+  const zipName = `${projectPrefix}${sanitizeForFilename(title, 60)}_claude-chat.zip`;
+
+  await download(zipBlob, zipName, 'application/zip');
+
+  report(100, 100, 'Complete!');
+
+  return { responseCount: result.responseFiles.length, artifactCount: Object.keys(result.artifacts).length };
+}
+
+// Render one conversation as a standalone file for the per-conversation bulk exports
+// format: 'markdown', 'embedded' or 'json'. Returns { content, filename, type }
+function formatConversationFile(data, format) {
+  const projectPrefix = data.project?.name ? `[${safeFilename(data.project.name)}-project]_` : '';
+
+  if (format === 'json') {
+    return { content: conversationToJson(data), filename: `${projectPrefix}${safeFilename(data.name)}.json`, type: 'application/json' };
+  }
+  if (format === 'embedded') {
+    const content = convertToMarkdown(data, { embedArtifacts: true, includeThinking: settings.includeThinking, allBranches: settings.allBranches });
+    return { content, filename: `${projectPrefix}${safeFilename(data.name)}_embedded.md`, type: 'text/markdown' };
+  }
+  const content = convertToMarkdown(data, { includeThinking: settings.includeThinking, allBranches: settings.allBranches });
+  return { content, filename: `${projectPrefix}${safeFilename(data.name)}.md`, type: 'text/markdown' };
+}
+
+// Add one conversation folder to a mega-zip (same structure as an individual zip export)
+// Returns the entry for the mega-zip index
+async function addConversationToMegaZip(megaZip, data, organizationId = null) {
+  const projectPrefix = data.project?.name ? `[${safeFilename(data.project.name)}-project]_` : '';
+  const folderName = `${projectPrefix}${safeFilename(data.name || data.uuid)}`;
+  const folder = megaZip.folder(folderName);
+
+  const folderResult = await populateConversationFolder(folder, data, null, organizationId);
+
+  return {
+    name: data.name || 'Untitled',
+    folder: folderName,
+    messages: folderResult.messages.length,
+    created: data.created_at ? formatTimestamp(data.created_at) : '',
+    uuid: data.uuid
+  };
+}
+
+// Write index.md at the root of a mega-zip
+function finalizeMegaZip(megaZip, indexEntries, errors = []) {
+  const indexLines = [
+    '# Claude Takeout - All Conversations',
+    '',
+    `**Exported:** ${formatTimestamp(new Date().toISOString())}`,
+    `**Total Conversations:** ${indexEntries.length}`,
+    '',
+    '## Conversations',
+    '',
+    '| # | Conversation | Messages | Created |',
+    '|---|--------------|----------|---------|'
+  ];
+
+  indexEntries.forEach((entry, i) => {
+    indexLines.push(`| ${i + 1} | [${entry.name}](${entry.folder}/README.md) | ${entry.messages} | ${entry.created} |`);
+  });
+
+  if (errors.length > 0) {
+    indexLines.push('', '## Errors', '');
+    errors.forEach(err => indexLines.push(`- ${err}`));
+  }
+
+  addFileWithBOM(megaZip, 'index.md', indexLines.join('\n'));
+}
+
+// ============================================================================
+// Project Export - a project's knowledge base and all of its conversations
+// ============================================================================
+
+// Write the project's metadata, system prompt and knowledge files at the root of a project zip
+function addProjectKnowledgeToZip(zip, knowledge) {
+  const { files, docsJson, projectJson } = knowledge;
+  if (projectJson) {
+    zip.file('project.json', JSON.stringify(projectJson, null, 2));
+    if (projectJson.prompt_template) {
+      addFileWithBOM(zip, 'prompt_template.md', fixMojibake(projectJson.prompt_template));
+    }
+  }
+  if (docsJson) {
+    zip.file('docs.json', JSON.stringify(docsJson, null, 2));
+  }
+  for (const doc of files) {
+    addFileWithBOM(zip, `knowledge/${doc.filename}`, doc.content);
+  }
+}
+
+// Add a conversation folder under conversations/ in a project zip and return its index entry
+// usedFolders keeps folder names unique; skipProjectFiles is set when knowledge/ already has the project's files
+async function addConversationToProjectZip(zip, data, organizationId, usedFolders, skipProjectFiles) {
+  const baseName = safeFilename(data.name || data.uuid);
+  let folderName = baseName;
+  let counter = 2;
+  while (usedFolders.has(folderName)) {
+    folderName = `${baseName}_${counter}`;
+    counter++;
+  }
+  usedFolders.add(folderName);
+
+  const folder = zip.folder(`conversations/${folderName}`);
+  const folderResult = await populateConversationFolder(folder, data, null, organizationId, { skipProjectFiles });
+
+  return {
+    name: data.name || 'Untitled',
+    folder: `conversations/${folderName}`,
+    messages: folderResult.messages.length,
+    created: data.created_at ? formatTimestamp(data.created_at) : '',
+    uuid: data.uuid
+  };
+}
+
+// Generate a project README: description, system prompt, knowledge files and (unless indexEntries is null) conversations
+function generateProjectReadme(knowledge, indexEntries = null, errors = []) {
+  const project = knowledge.projectJson || {};
+  const lines = [
+    `# ${project.name || 'Claude Project'}`,
+    ''
+  ];
+
+  if (project.description) {
+    lines.push(fixMojibake(project.description), '');
+  }
+
+  lines.push(`**Exported:** ${formatTimestamp(new Date().toISOString())}`);
+  if (indexEntries) {
+    lines.push(`**Conversations:** ${indexEntries.length}`);
+  }
+  lines.push(`**Knowledge Files:** ${knowledge.files.length}`);
+  if (project.uuid) {
+    lines.push(`**Link:** https://claude.ai/project/${project.uuid}`);
+  }
+
+  if (project.prompt_template) {
+    const prompt = fixMojibake(project.prompt_template);
+    const fence = getCodeFence(prompt);
+    lines.push('', '## Project Instructions', '', 'Also in [prompt_template.md](prompt_template.md).', '', `${fence}markdown`, prompt, fence);
+  }
+
+  if (knowledge.files.length > 0) {
+    lines.push('', `## Knowledge Files (${knowledge.files.length})`, '');
+    for (const doc of [...knowledge.files].sort((a, b) => a.filename.localeCompare(b.filename))) {
+      lines.push(`- [${doc.filename}](knowledge/${encodeURIComponent(doc.filename)})`);
+    }
+  } else if (knowledge.docsJson === null) {
+    const fallback = indexEntries ? ' Conversation folders include any files Claude viewed.' : '';
+    lines.push('', '## Knowledge Files', '', `*The project's documents couldn't be fetched.${fallback}*`);
+  }
+
+  if (indexEntries) {
+    lines.push(
+      '',
+      '## Conversations',
+      '',
+      '| # | Conversation | Messages | Created |',
+      '|---|--------------|----------|---------|'
+    );
+    indexEntries.forEach((entry, i) => {
+      lines.push(`| ${i + 1} | [${entry.name}](${entry.folder}/README.md) | ${entry.messages} | ${entry.created} |`);
+    });
+  }
+
+  if (errors.length > 0) {
+    lines.push('', '## Errors', '');
+    errors.forEach(err => lines.push(`- ${err}`));
+  }
+
+  return lines.join('\n');
+}
+
+// Write README.md at the root of a project zip
+function finalizeProjectZip(zip, knowledge, indexEntries, errors = []) {
+  addFileWithBOM(zip, 'README.md', generateProjectReadme(knowledge, indexEntries, errors));
+}
+
+// Add one project's folder to a projects backup: metadata, instructions, knowledge files and a README
+// usedFolders keeps folder names unique. Returns its index entry
+async function addProjectToBackup(zip, project, organizationId, usedFolders) {
+  const baseName = safeFilename(project.name || project.uuid);
+  let folderName = baseName;
+  let counter = 2;
+  while (usedFolders.has(folderName)) {
+    folderName = `${baseName}_${counter}`;
+    counter++;
+  }
+  usedFolders.add(folderName);
+
+  const knowledge = await fetchProjectKnowledge(organizationId, project.uuid);
+  // Keep the list entry if the project itself couldn't be fetched
+  if (!knowledge.projectJson) {
+    knowledge.projectJson = project;
+  }
+  const folder = zip.folder(folderName);
+  addProjectKnowledgeToZip(folder, knowledge);
+  addFileWithBOM(folder, 'README.md', generateProjectReadme(knowledge));
+
+  return {
+    name: project.name || 'Untitled project',
+    folder: folderName,
+    description: project.description || '',
+    files: knowledge.files.length,
+    docsFailed: knowledge.docsJson === null,
+    updated: project.updated_at ? formatTimestamp(project.updated_at) : ''
+  };
+}
+
+// Write index.md at the root of a projects backup
+function finalizeProjectsBackup(zip, indexEntries) {
+  const lines = [
+    '# Claude Takeout - Projects',
+    '',
+    `**Exported:** ${formatTimestamp(new Date().toISOString())}`,
+    `**Total Projects:** ${indexEntries.length}`,
+    `**Knowledge Files:** ${indexEntries.reduce((sum, entry) => sum + entry.files, 0)}`,
+    '',
+    '| # | Project | Description | Knowledge Files | Updated |',
+    '|---|---------|-------------|-----------------|---------|'
+  ];
+
+  indexEntries.forEach((entry, i) => {
+    const description = entry.description.replace(/\s+/g, ' ').trim();
+    const shortDescription = description.length > 80 ? description.substring(0, 77) + '...' : description;
+    const files = entry.docsFailed ? 'not fetched' : entry.files;
+    lines.push(`| ${i + 1} | [${entry.name}](${entry.folder}/README.md) | ${shortDescription} | ${files} | ${entry.updated} |`);
+  });
+
+  addFileWithBOM(zip, 'index.md', lines.join('\n'));
+}
+
+// ============================================================================
+// HTML Export - standalone single-file transcript
+// ============================================================================
+
+// Keywords highlighted by the built-in syntax highlighter (shared across C-like and scripting languages)
+const HIGHLIGHT_KEYWORDS = new Set([
+  'abstract', 'and', 'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+  'def', 'default', 'del', 'do', 'elif', 'else', 'enum', 'except', 'export', 'extends', 'false',
+  'finally', 'fn', 'for', 'from', 'func', 'function', 'global', 'go', 'if', 'impl', 'import', 'in',
+  'interface', 'is', 'lambda', 'let', 'match', 'mut', 'new', 'nil', 'None', 'not', 'null', 'or',
+  'package', 'pass', 'private', 'protected', 'pub', 'public', 'raise', 'return', 'self', 'static',
+  'struct', 'super', 'switch', 'this', 'throw', 'True', 'False', 'true', 'try', 'type', 'typeof',
+  'undefined', 'use', 'var', 'void', 'while', 'with', 'yield',
+  'SELECT', 'FROM', 'WHERE', 'JOIN', 'INSERT', 'UPDATE', 'DELETE', 'CREATE', 'TABLE', 'GROUP', 'ORDER', 'BY'
+]);
+
+// Comment syntax by language; languages not listed get no comment highlighting, since a guess
+// (e.g. -- in C, where `i--` isn't a comment) can grey out real code
+const C_COMMENT = '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+const COMMENT_PATTERNS = new Map([
+  ['#[^\\n]*', ['python', 'py', 'bash', 'sh', 'shell', 'zsh', 'ruby', 'rb', 'yaml', 'yml', 'toml', 'r', 'perl', 'dockerfile', 'makefile']],
+  [C_COMMENT, ['javascript', 'js', 'jsx', 'typescript', 'ts', 'tsx', 'java', 'c', 'cpp', 'c++', 'h', 'hpp', 'cs', 'csharp',
+    'go', 'rust', 'rs', 'swift', 'kotlin', 'kt', 'scala', 'dart', 'php', 'scss', 'less', 'jsonc']],
+  ['\\/\\*[\\s\\S]*?\\*\\/', ['css']],
+  ['--[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/', ['sql', 'mysql', 'postgresql', 'plsql']],
+  ['--\\[\\[[\\s\\S]*?\\]\\]|--[^\\n]*', ['lua']],
+  ['\\{-[\\s\\S]*?-\\}|--[^\\n]*', ['haskell', 'hs']],
+  ['<!--[\\s\\S]*?-->', ['html', 'xml', 'svg', 'markdown', 'md']]
+].flatMap(([pattern, langs]) => langs.map(lang => [lang, pattern])));
+
+// Lightweight regex-based syntax highlighter producing <span class="tok-*"> markup
+// Good enough for readable transcripts without bundling a highlighting library
+function highlightCode(code, lang) {
+  const language = (lang || '').toLowerCase();
+  if (!language || language === 'text' || language === 'plaintext' || language === 'markdown') {
+    return escapeHtml(code);
+  }
+
+  // (?!) never matches, so languages without a known comment syntax keep the group numbering
+  const commentPattern = COMMENT_PATTERNS.get(language) || '(?!)';
+  const tokenPattern = new RegExp(
+    `(${commentPattern})|("(?:[^"\\\\\\n]|\\\\.)*"|'(?:[^'\\\\\\n]|\\\\.)*'|\`(?:[^\`\\\\]|\\\\.)*\`)|(\\b\\d+(?:\\.\\d+)?\\b)|([A-Za-z_$][\\w$]*)`,
+    'g'
+  );
+
+  let html = '';
+  let last = 0;
+  let match;
+  while ((match = tokenPattern.exec(code)) !== null) {
+    html += escapeHtml(code.slice(last, match.index));
+    const [token, comment, string, number, word] = match;
+    if (comment) {
+      html += `<span class="tok-comment">${escapeHtml(token)}</span>`;
+    } else if (string) {
+      html += `<span class="tok-string">${escapeHtml(token)}</span>`;
+    } else if (number) {
+      html += `<span class="tok-number">${token}</span>`;
+    } else if (word && HIGHLIGHT_KEYWORDS.has(word)) {
+      html += `<span class="tok-keyword">${word}</span>`;
+    } else {
+      html += escapeHtml(token);
+    }
+    last = match.index + token.length;
+  }
+  html += escapeHtml(code.slice(last));
+  return html;
+}
+
+// Render a highlighted <pre><code> block
+function renderCodeBlockHtml(code, lang) {
+  const label = lang && lang !== 'text' && lang !== 'plaintext' ? `<span class="code-lang">${escapeHtml(lang)}</span>` : '';
+  return `<div class="code">${label}<pre><code>${highlightCode(code, lang)}</code></pre></div>`;
+}
+
+// Only allow link targets that can't run script when the exported file is opened
+function isSafeUrl(url) {
+  return /^(https?:|mailto:|data:image\/|#|\.{0,2}\/|[\w-]+\.)/i.test(url.replace(/&amp;/g, '&'));
+}
+
+// Link already-escaped text to a URL taken from tool output, or leave it as plain text if the URL isn't safe
+function safeHtmlLink(url, html) {
+  return url && isSafeUrl(url) ? `<a href="${escapeHtml(url)}">${html}</a>` : html;
+}
+
+// Render inline markdown (code spans, bold, italic, strikethrough, links) to HTML
+// Citation anchors inserted by processTextWithCitations() are the only raw HTML let through
+function renderInlineMarkdown(text) {
+  const placeholders = [];
+  const hold = (html) => {
+    placeholders.push(html);
+    return `\u0000${placeholders.length - 1}\u0000`;
+  };
+
+  let out = text
+    .replace(/<sup id="(cite-[\w-]+)">/g, (m, id) => hold(`<sup id="${id}">`))
+    .replace(/<\/sup>/g, () => hold('</sup>'))
+    .replace(/(`+)([\s\S]+?)\1/g, (m, ticks, code) => hold(`<code>${escapeHtml(code)}</code>`));
+
+  out = escapeHtml(out)
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (m, alt, url) => isSafeUrl(url) ? hold(`<img alt="${alt}" src="${url}">`) : m)
+    .replace(/\[((?:\[[^\]]*\]|[^\]])+)\]\(([^)\s]+)\)/g, (m, label, url) => isSafeUrl(url) ? hold(`<a href="${url}">${label}</a>`) : label)
+    .replace(/(^|[\s(])(https?:\/\/[^\s<)]+)/g, (m, pre, url) => pre + hold(`<a href="${url}">${url}</a>`))
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*([^*\n]+)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\w])_([^_\n]+)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+
+  // Placeholders may nest (e.g. a code span inside a link label), so restore until stable
+  let previous;
+  do {
+    previous = out;
+    out = out.replace(/\u0000(\d+)\u0000/g, (m, i) => placeholders[Number(i)]);
+  } while (out !== previous);
+  return out;
+}
+
+// Minimal Markdown to HTML renderer for message text
+// Handles fenced code, headings, lists, blockquotes, tables, rules and paragraphs
+function markdownToHtml(text) {
+  const lines = (text || '').split('\n');
+  const html = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // Fenced code block
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+    if (fenceMatch) {
+      flushParagraph();
+      const fence = fenceMatch[1];
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence)) {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      i++;
+      html.push(renderCodeBlockHtml(codeLines.join('\n'), fenceMatch[2]));
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      i++;
+      continue;
+    }
+
+    const headingMatch = line.match(/^(#{1,6})\s+(.*)$/);
+    if (headingMatch) {
+      flushParagraph();
+      const level = headingMatch[1].length;
+      html.push(`<h${level}>${renderInlineMarkdown(headingMatch[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      flushParagraph();
+      const quoteLines = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quoteLines.push(lines[i].replace(/^\s*>\s?/, ''));
+        i++;
+      }
+      html.push(`<blockquote>${markdownToHtml(quoteLines.join('\n'))}</blockquote>`);
+      continue;
+    }
+
+    // Pipe table: header row followed by a separator row
+    if (line.includes('|') && i + 1 < lines.length && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1])) {
+      flushParagraph();
+      const splitRow = (row) => row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => renderInlineMarkdown(cell.trim()));
+      const header = splitRow(line);
+      i += 2;
+      const rows = [];
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows.push(splitRow(lines[i]));
+        i++;
+      }
+      html.push('<table><thead><tr>' + header.map(c => `<th>${c}</th>`).join('') + '</tr></thead><tbody>' +
+        rows.map(r => '<tr>' + r.map(c => `<td>${c}</td>`).join('') + '</tr>').join('') + '</tbody></table>');
+      continue;
+    }
+
+    const listMatch = line.match(/^\s*([-*+]|\d+[.)])\s+/);
+    if (listMatch) {
+      flushParagraph();
+      const ordered = /\d/.test(listMatch[1]);
+      const items = [];
+      while (i < lines.length) {
+        const itemMatch = lines[i].match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+        if (itemMatch) {
+          items.push({ depth: Math.floor(itemMatch[1].length / 2), text: itemMatch[3] });
+        } else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length > 0) {
+          // Continuation line of the previous item
+          items[items.length - 1].text += ' ' + lines[i].trim();
+        } else {
+          break;
+        }
+        i++;
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      html.push(`<${tag}>` + items.map(item => {
+        const style = item.depth > 0 ? ` style="margin-left:${item.depth * 1.5}em"` : '';
+        return `<li${style}>${renderInlineMarkdown(item.text)}</li>`;
+      }).join('') + `</${tag}>`);
+      continue;
+    }
+
+    paragraph.push(line);
+    i++;
+  }
+
+  flushParagraph();
+  return html.join('\n');
+}
+
+// Describe a tool call in one line, e.g. "Web Search: query" or "Bash: ls -la"
+function describeToolUse(block) {
+  const toolName = block.name || '';
+  const input = block.input || {};
+  const filename = (input.path || input.file_path || '').split('/').pop();
+
+  switch (toolName) {
+    case 'web_search':
+      return `Web Search: ${input.query || ''}`;
+    case 'web_fetch':
+      return `Web Fetch: ${input.url || ''}`;
+    case 'bash_tool':
+    case 'bash': {
+      const cmd = input.command || '';
+      return `Bash: ${cmd.length > 100 ? cmd.substring(0, 100) + '...' : cmd}`;
+    }
+    case 'str_replace':
+    case 'str_replace_editor':
+      return `Edit: ${filename}`;
+    case 'view':
+    case 'read_file':
+      return `Reading: ${filename}`;
+    case 'write_file':
+    case 'write':
+      return `Writing: ${filename}`;
+    case 'list_directory':
+    case 'ls':
+      return `Listing: ${input.path || '.'}`;
+    case 'create_file':
+      return `Creating artifact: ${filename}`;
+    case 'present_files':
+      return `Presenting: ${(input.filepaths || []).map(f => f.split('/').pop()).join(', ')}`;
+    case 'artifacts':
+      return `${input.command === 'update' ? 'Updating' : 'Creating'} artifact: ${input.title || input.id || 'Untitled'}`;
+    default:
+      return `Tool: ${toolName}`;
+  }
+}
+
+// Convert a Blob to a data: URI (for inlining images)
+function blobToDataUri(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Fetch every uploaded image in the conversation and return { file_uuid or file_name -> data URI }
+async function fetchInlineImages(data, organizationId, onProgress = null) {
+  const images = {};
+  const uploads = extractUploadedFiles(data, organizationId).filter(f => f.kind === 'image');
+
+  for (let i = 0; i < uploads.length; i++) {
+    const file = uploads[i];
+    if (onProgress) onProgress(i, uploads.length, `Inlining image: ${file.filename}`);
+    try {
+      const blob = await fetchUploadedFile(file.url || null, file.uuid, organizationId, data.uuid, file.path);
+      images[file.uuid || file.filename] = await blobToDataUri(blob);
+    } catch (err) {
+      console.error(`Failed to inline ${file.filename}:`, err);
+    }
+  }
+
+  return images;
+}
+
+// Stylesheet embedded in HTML exports
+const HTML_EXPORT_STYLES = `
+  body { margin: 0; background: #f5f5f4; color: #1a1a1a; font: 15px/1.6 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+  .transcript { max-width: 860px; margin: 0 auto; padding: 32px 20px 64px; }
+  header h1 { margin: 0 0 8px; font-size: 26px; }
+  header .meta { color: #666; font-size: 13px; }
+  header .meta span { margin-right: 16px; }
+  .message { margin: 20px 0; display: flex; flex-direction: column; }
+  .message .bubble { border-radius: 14px; padding: 12px 18px; max-width: 100%; box-sizing: border-box; overflow-wrap: anywhere; }
+  .message.human { align-items: flex-end; }
+  .message.human .bubble { background: #ede9fe; max-width: 85%; }
+  .message.assistant .bubble { background: #fff; border: 1px solid #e7e5e4; }
+  .message .label { font-size: 12px; color: #888; margin: 0 6px 4px; }
+  .fork { margin: 32px 0 8px; padding: 6px 12px; border-left: 4px solid #7c3aed; background: #faf5ff; font-weight: 600; font-size: 13px; }
+  .code { position: relative; margin: 10px 0; }
+  .code-lang { position: absolute; top: 4px; right: 10px; font-size: 11px; color: #a8a29e; }
+  pre { background: #1c1917; color: #e7e5e4; padding: 12px 14px; border-radius: 8px; overflow-x: auto; font-size: 13px; line-height: 1.45; }
+  code { font-family: 'SF Mono', Menlo, Consolas, monospace; }
+  p code, li code, td code { background: #f1f0ee; padding: 1px 5px; border-radius: 4px; font-size: 13px; }
+  .tok-keyword { color: #c4b5fd; }
+  .tok-string { color: #86efac; }
+  .tok-number { color: #fdba74; }
+  .tok-comment { color: #78716c; font-style: italic; }
+  details { margin: 8px 0; border: 1px solid #e7e5e4; border-radius: 8px; background: #fafaf9; }
+  details > summary { cursor: pointer; padding: 6px 12px; font-size: 13px; color: #57534e; }
+  details > .details-body { padding: 0 12px 8px; }
+  details.thinking > summary::before { content: '💭 '; }
+  details.tool > summary::before { content: '🔧 '; }
+  details.artifact > summary::before { content: '📄 '; }
+  details.attachment > summary::before { content: '📎 '; }
+  .details-body pre { white-space: pre-wrap; }
+  blockquote { margin: 8px 0; padding: 0 12px; border-left: 3px solid #d6d3d1; color: #57534e; }
+  table { border-collapse: collapse; margin: 10px 0; }
+  th, td { border: 1px solid #d6d3d1; padding: 4px 10px; text-align: left; }
+  img.upload { max-width: 100%; border-radius: 8px; margin: 6px 0; display: block; }
+  .upload-chip { display: inline-block; font-size: 12px; background: #fff; border: 1px solid #d6d3d1; border-radius: 12px; padding: 2px 10px; margin: 2px 4px 2px 0; }
+  .references { font-size: 13px; border-top: 1px solid #e7e5e4; margin-top: 12px; padding-top: 8px; }
+  .references a.backlink { font-size: 11px; margin-left: 4px; }
+  sup a { text-decoration: none; }
+  a { color: #6d28d9; }
+  footer { margin-top: 40px; color: #a8a29e; font-size: 12px; text-align: center; }
+`;
+
+// Escape text for use inside a CSS string literal (also keeps "</style>" from closing the stylesheet)
+function escapeCssString(text) {
+  return String(text || '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/</g, '\\3C ').replace(/[\r\n]+/g, ' ');
+}
+
+// Print stylesheet for PDF exports: running header, page numbers, one prompt/response pair per page
+function getPrintStyles(title, model) {
+  return `
+  @page {
+    size: A4;
+    margin: 20mm 16mm;
+    @top-left { content: "${escapeCssString(title)}"; font-size: 9pt; color: #666; }
+    @top-right { content: "${escapeCssString(model)}"; font-size: 9pt; color: #666; }
+    @bottom-center { content: "Page " counter(page) " of " counter(pages); font-size: 9pt; color: #666; }
+  }
+  @media print {
+    body { background: #fff; font-size: 11pt; }
+    .transcript { max-width: none; padding: 0; }
+    .print-toolbar { display: none; }
+    .message.human ~ .message.human, .fork { break-before: page; }
+    .message .label, details > summary, h1, h2, h3 { break-after: avoid; }
+    .message .bubble { border: 1px solid #ddd; }
+    pre, pre code { white-space: pre-wrap; overflow-wrap: anywhere; overflow: visible; }
+    pre { background: #f7f7f7; color: #1a1a1a; border: 1px solid #ddd; }
+    .tok-keyword { color: #6d28d9; }
+    .tok-string { color: #15803d; }
+    .tok-number { color: #c2410c; }
+    .tok-comment { color: #78716c; }
+    img.upload { max-height: 180mm; break-inside: avoid; }
+    a { color: inherit; }
+  }
+  @media screen {
+    .print-toolbar { position: sticky; top: 0; background: #7c3aed; color: #fff; padding: 10px 20px; font-size: 14px; display: flex; justify-content: space-between; align-items: center; }
+    .print-toolbar button { background: #fff; color: #6d28d9; border: none; border-radius: 6px; padding: 6px 14px; font-weight: 600; cursor: pointer; }
+  }
+`;
+}
+
+// Convert conversation to a standalone HTML document
+// images: { file_uuid or file_name -> data URI } from fetchInlineImages()
+// print: add the print stylesheet and expand all collapsible sections (used for PDF export)
+function convertToHtml(data, options = {}) {
+  const { includeThinking = true, allBranches = false, images = {}, print = false } = options;
+  const title = data.name || 'Claude Conversation';
+  const artifacts = extractArtifacts(data);
+  const { idToFilename } = extractTextAttachments(data);
+
+  const entries = allBranches
+    ? walkMessageTree(data)
+    : getMessageChain(data).map(msg => ({ msg, fork: null }));
+
+  const body = [];
+  if (print) {
+    body.push('<div class="print-toolbar"><span>Choose <strong>Save as PDF</strong> as the destination in the print dialog.</span><button id="printButton">Print / Save PDF</button></div>');
+  }
+  body.push('<header>');
+  body.push(`<h1>${escapeHtml(title)}</h1>`);
+  const metaParts = [`Model: ${getModelName(data)}`];
+  if (data.created_at) metaParts.push(`Created: ${formatTimestamp(data.created_at)}`);
+  if (data.updated_at) metaParts.push(`Updated: ${formatTimestamp(data.updated_at)}`);
+  if (data.project?.name) metaParts.push(`Project: ${data.project.name}`);
+  body.push(`<div class="meta">${metaParts.map(p => `<span>${escapeHtml(p)}</span>`).join('')}` +
+    (data.uuid ? `<span><a href="https://claude.ai/chat/${escapeHtml(data.uuid)}">Open in Claude</a></span>` : '') + '</div>');
+  body.push('</header>');
+
+  let responseNum = 0;
+
+  for (const { msg, fork } of entries) {
+    if (fork) {
+      body.push(`<div class="fork">🔀 Branch ${fork.branch}: ${escapeHtml(fork.kind)} (${fork.position} of ${fork.of})${fork.active ? ' - active' : ''}</div>`);
+    }
+
+    const timestamp = escapeHtml(formatTimestamp(msg.created_at));
+
+    if (msg.sender === 'human') {
+      const parts = [];
+
+      for (const file of (msg.files_v2 || []).filter(f => f.success && f.file_name)) {
+        const dataUri = images[file.file_uuid || file.file_name];
+        if (dataUri) {
+          parts.push(`<img class="upload" alt="${escapeHtml(file.file_name)}" src="${dataUri}">`);
+        } else {
+          parts.push(`<span class="upload-chip">📁 ${escapeHtml(file.file_name)}</span>`);
+        }
+      }
+
+      for (const att of (msg.attachments || []).filter(a => a.extracted_content)) {
+        const filename = (att.id && idToFilename[att.id]) || att.file_name || 'attachment';
+        parts.push(`<details class="attachment"><summary>${escapeHtml(filename)}</summary><div class="details-body"><pre>${escapeHtml(fixMojibake(att.extracted_content))}</pre></div></details>`);
+      }
+
+      parts.push(markdownToHtml(extractTextContent(msg.content)));
+
+      body.push(`<div class="message human"><div class="label">Prompt · ${timestamp}</div><div class="bubble">${parts.join('\n')}</div></div>`);
+
+    } else if (msg.sender === 'assistant') {
+      responseNum++;
+      const parts = [];
+      const allReferences = [];
+      const seenUrls = new Set();
+
+      for (const block of (msg.content || [])) {
+        if (block.type === 'thinking') {
+          if (includeThinking && block.thinking) {
+            parts.push(`<details class="thinking"><summary>Thought process: ${escapeHtml(getThinkingSummary(block))}</summary><div class="details-body">${markdownToHtml(block.thinking)}</div></details>`);
+          }
+
+        } else if (block.type === 'tool_use') {
+          const input = block.input || {};
+          const summary = escapeHtml(describeToolUse(block));
+
+          if (block.name === 'create_file' && input.file_text) {
+            const filename = (input.path || '').split('/').pop();
+            parts.push(`<details class="artifact" open><summary>${summary}</summary><div class="details-body">${renderCodeBlockHtml(input.file_text, getLanguageFromFilename(filename))}</div></details>`);
+          } else if (block.name === 'artifacts' && input.content && (input.command === 'create' || input.command === 'update')) {
+            const type = input.type || 'text/plain';
+            const content = type === 'text/markdown' ? markdownToHtml(input.content) : renderCodeBlockHtml(input.content, getLanguageFromType(type));
+            parts.push(`<details class="artifact" open><summary>${summary}</summary><div class="details-body">${content}</div></details>`);
+          } else if (block.name === 'present_files') {
+            for (const filepath of (input.filepaths || [])) {
+              const filename = filepath.split('/').pop();
+              if (artifacts[filename]) {
+                parts.push(`<details class="artifact"><summary>Artifact: ${escapeHtml(filename)}</summary><div class="details-body">${renderCodeBlockHtml(artifacts[filename], getLanguageFromFilename(filename))}</div></details>`);
+              }
+            }
+          } else {
+            parts.push(`<details class="tool"><summary>${summary}</summary><div class="details-body"><pre>${escapeHtml(JSON.stringify(input, null, 2))}</pre></div></details>`);
+          }
+
+        } else if (block.type === 'tool_result') {
+          const label = `Result: ${escapeHtml(block.name || 'tool')}`;
+          if (block.name === 'web_search' && Array.isArray(block.content)) {
+            const results = block.content.filter(r => r.type === 'knowledge')
+              .map(r => `<li>${safeHtmlLink(r.url, escapeHtml(r.title || r.url || ''))} <small>${escapeHtml(r.metadata?.site_domain || '')}</small></li>`);
+            parts.push(`<details class="tool"><summary>${label} (${results.length} results)</summary><div class="details-body"><ul>${results.join('')}</ul></div></details>`);
+          } else if (block.content) {
+            const toolContent = typeof block.content === 'string'
+              ? block.content
+              : Array.isArray(block.content) && block.content.every(c => c.type === 'text')
+                ? block.content.map(c => c.text).join('\n')
+                : JSON.stringify(block.content, null, 2);
+            parts.push(`<details class="tool"><summary>${label}</summary><div class="details-body"><pre>${escapeHtml(toolContent)}</pre></div></details>`);
+          }
+
+        } else if (block.type === 'text') {
+          const citations = block.citations || [];
+          if (citations.length > 0) {
+            const { text: processedText, references } = processTextWithCitations(block.text || '', citations);
+            parts.push(markdownToHtml(processedText));
+            for (const ref of references) {
+              if (!seenUrls.has(ref.url)) {
+                seenUrls.add(ref.url);
+                allReferences.push(ref);
+              }
+            }
+          } else {
+            parts.push(markdownToHtml(block.text || ''));
+          }
+        }
+      }
+
+      if (allReferences.length > 0) {
+        const items = allReferences.map(ref => {
+          const backlinks = (ref.backlinks || []).map(bl => `<a class="backlink" href="#${bl.id}">[${bl.label}]</a>`).join('');
+          const domain = ref.domain ? ` <small>${escapeHtml(ref.domain)}</small>` : '';
+          return `<li id="ref-${ref.num}">${safeHtmlLink(ref.url, escapeHtml(ref.title))}${domain}${backlinks}</li>`;
+        });
+        parts.push(`<ol class="references">${items.join('')}</ol>`);
+      }
+
+      // Citation anchors restart at 1 in every response, so scope them to this response
+      const responseHtml = parts.join('\n')
+        .replace(/id="(cite-[\w-]+|ref-\d+)"/g, `id="r${responseNum}-$1"`)
+        .replace(/href="#(cite-[\w-]+|ref-\d+)"/g, `href="#r${responseNum}-$1"`);
+
+      body.push(`<div class="message assistant"><div class="label">Response · ${timestamp}</div><div class="bubble">${responseHtml}</div></div>`);
+    }
+  }
+
+  body.push(`<footer>Exported with Claude Takeout · ${escapeHtml(formatTimestamp(new Date().toISOString()))}</footer>`);
+
+  let bodyHtml = body.join('\n');
+  let styles = HTML_EXPORT_STYLES;
+  if (print) {
+    // Collapsed <details> content doesn't print, so expand everything
+    bodyHtml = bodyHtml.replace(/<details class="([\w-]+)"(?: open)?>/g, '<details class="$1" open>');
+    styles += getPrintStyles(title, getModelName(data));
+  }
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="UTF-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${styles}</style>`,
+    '</head>',
+    '<body>',
+    '<main class="transcript">',
+    bodyHtml,
+    '</main>',
+    '</body>',
+    '</html>'
+  ].join('\n');
+}
+
+// ============================================================================
+// DOCX Export - Office Open XML package built with JSZip
+// ============================================================================
+
+// Escape text for XML, dropping control characters that are invalid in XML 1.0
+function escapeXml(text) {
+  return String(text || '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Marks a citation position in text before inline parsing; replaced by a footnote reference run
+const DOCX_FOOTNOTE_MARK = '\u0001';
+const DOCX_FOOTNOTE_MARKS = new RegExp(`${DOCX_FOOTNOTE_MARK}(\\d+)${DOCX_FOOTNOTE_MARK}`, 'g');
+
+// Build a text run; newlines become line breaks, tabs become tab stops
+function docxRun(text, format = {}) {
+  const props = [];
+  if (format.style) props.push(`<w:rStyle w:val="${format.style}"/>`);
+  if (format.bold) props.push('<w:b/>');
+  if (format.italic) props.push('<w:i/>');
+  if (format.strike) props.push('<w:strike/>');
+  const rPr = props.length > 0 ? `<w:rPr>${props.join('')}</w:rPr>` : '';
+
+  // Marks that reach a plain run (e.g. inside a code block) have nowhere to go
+  const pieces = String(text).replace(DOCX_FOOTNOTE_MARKS, '').split(/(\n|\t)/).map(piece => {
+    if (piece === '\n') return '<w:br/>';
+    if (piece === '\t') return '<w:tab/>';
+    return piece ? `<w:t xml:space="preserve">${escapeXml(piece)}</w:t>` : '';
+  });
+  return `<w:r>${rPr}${pieces.join('')}</w:r>`;
+}
+
+// Build a paragraph from run XML
+function docxParagraph(runsXml, style = null, extraProps = '') {
+  const pPr = style || extraProps ? `<w:pPr>${style ? `<w:pStyle w:val="${style}"/>` : ''}${extraProps}</w:pPr>` : '';
+  return `<w:p>${pPr}${runsXml}</w:p>`;
+}
+
+// New document-building context: body paragraphs, footnotes and external hyperlink relationships
+function createDocxContext() {
+  return { body: [], footnotes: [], links: [] };
+}
+
+// Register an external hyperlink and return its relationship id
+function addDocxLink(ctx, url) {
+  const existing = ctx.links.indexOf(url);
+  if (existing >= 0) return `rIdLink${existing + 1}`;
+  ctx.links.push(url);
+  return `rIdLink${ctx.links.length}`;
+}
+
+// Convert inline markdown (bold, italic, code spans, links, footnote marks) to runs
+// footnotes: the footnotes referenced by DOCX_FOOTNOTE_MARK<index>DOCX_FOOTNOTE_MARK in text (see
+// addDocxCitations). Each is added to ctx.footnotes when its reference is placed, so none is left unreferenced
+function docxInlineRuns(ctx, text, footnotes = [], baseFormat = {}) {
+  const pattern = new RegExp(
+    `${DOCX_FOOTNOTE_MARK}(\\d+)${DOCX_FOOTNOTE_MARK}` +
+    '|(`+)([\\s\\S]+?)\\2' +
+    '|\\*\\*([^*]+)\\*\\*' +
+    '|(?<![\\w*])\\*([^*\\n]+)\\*(?![\\w*])' +
+    '|~~([^~]+)~~' +
+    '|\\[([^\\]]+)\\]\\(([^)\\s]+)\\)',
+    'g'
+  );
+
+  const footnoteReference = (index) => {
+    const footnote = footnotes[Number(index)];
+    if (!footnote) return '';
+    if (!footnote.id) {
+      ctx.footnotes.push(footnote);
+      footnote.id = ctx.footnotes.length;
+    }
+    return `<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteReference w:id="${footnote.id}"/></w:r>`;
+  };
+
+  // A citation can end inside formatted text; split the span around its marks
+  const spanRuns = (spanText, format) => spanText.split(new RegExp(DOCX_FOOTNOTE_MARKS.source))
+    .map((piece, i) => i % 2 === 1 ? footnoteReference(piece) : piece ? docxRun(piece, format) : '')
+    .join('');
+
+  const runs = [];
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > last) runs.push(docxRun(text.slice(last, match.index), baseFormat));
+    const [, footnote, , code, bold, italic, strike, linkText, linkUrl] = match;
+
+    if (footnote !== undefined) {
+      runs.push(footnoteReference(footnote));
+    } else if (code !== undefined) {
+      runs.push(spanRuns(code, { ...baseFormat, style: 'InlineCode' }));
+    } else if (bold !== undefined) {
+      runs.push(spanRuns(bold, { ...baseFormat, bold: true }));
+    } else if (italic !== undefined) {
+      runs.push(spanRuns(italic, { ...baseFormat, italic: true }));
+    } else if (strike !== undefined) {
+      runs.push(spanRuns(strike, { ...baseFormat, strike: true }));
+    } else if (/^https?:|^mailto:/i.test(linkUrl)) {
+      const relId = addDocxLink(ctx, linkUrl);
+      runs.push(`<w:hyperlink r:id="${relId}">${spanRuns(linkText, { ...baseFormat, style: 'Hyperlink' })}</w:hyperlink>`);
+    } else {
+      runs.push(spanRuns(linkText, baseFormat));
+    }
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) runs.push(docxRun(text.slice(last), baseFormat));
+
+  return runs.join('');
+}
+
+// Append code as monospaced paragraphs (one per line so long listings can break across pages)
+function appendDocxCode(ctx, code, lang = '') {
+  if (lang && lang !== 'text' && lang !== 'plaintext') {
+    ctx.body.push(docxParagraph(docxRun(lang), 'CodeLabel'));
+  }
+  for (const line of code.replace(/\n$/, '').split('\n')) {
+    ctx.body.push(docxParagraph(line ? docxRun(line) : '', 'Code'));
+  }
+}
+
+// Append markdown text as document paragraphs
+// Handles fenced code, headings, lists, blockquotes, tables and rules; headings start at Heading3
+// since Heading1/Heading2 are used for the title and Prompt/Response sections
+function appendDocxMarkdown(ctx, text, footnotes = [], paragraphStyle = null) {
+  const lines = (text || '').split('\n');
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      ctx.body.push(docxParagraph(docxInlineRuns(ctx, paragraph.join('\n'), footnotes), paragraphStyle));
+      paragraph = [];
+    }
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+    if (fenceMatch) {
+      flushParagraph();
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fenceMatch[1])) {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      i++;
+      appendDocxCode(ctx, codeLines.join('\n'), fenceMatch[2]);
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      i++;
+      continue;
+    }
+
+    const headingMatch = line.match(/^(#{1,6})\s+(.*)$/);
+    if (headingMatch) {
+      flushParagraph();
+      const level = Math.min(headingMatch[1].length + 2, 6);
+      ctx.body.push(docxParagraph(docxInlineRuns(ctx, headingMatch[2], footnotes), `Heading${level}`));
+      i++;
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      ctx.body.push(docxParagraph('', null, '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="BFBFBF"/></w:pBdr>'));
+      i++;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      flushParagraph();
+      const quoteLines = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quoteLines.push(lines[i].replace(/^\s*>\s?/, ''));
+        i++;
+      }
+      appendDocxMarkdown(ctx, quoteLines.join('\n'), footnotes, 'Quote');
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1])) {
+      flushParagraph();
+      const splitRow = (row) => row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+      const rows = [splitRow(line)];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows.push(splitRow(lines[i]));
+        i++;
+      }
+      const cellBorder = '<w:tcBorders><w:top w:val="single" w:sz="4" w:color="BFBFBF"/><w:left w:val="single" w:sz="4" w:color="BFBFBF"/><w:bottom w:val="single" w:sz="4" w:color="BFBFBF"/><w:right w:val="single" w:sz="4" w:color="BFBFBF"/></w:tcBorders>';
+      // Every row needs the same number of cells as the grid
+      const columns = Math.max(...rows.map(cells => cells.length));
+      const rowsXml = rows.map((cells, r) => '<w:tr>' + Array.from({ length: columns }, (_, c) =>
+        `<w:tc><w:tcPr>${cellBorder}</w:tcPr>${docxParagraph(docxInlineRuns(ctx, cells[c] || '', footnotes, r === 0 ? { bold: true } : {}), 'TableText')}</w:tc>`
+      ).join('') + '</w:tr>').join('');
+      const gridXml = '<w:tblGrid>' + '<w:gridCol w:w="2000"/>'.repeat(columns) + '</w:tblGrid>';
+      ctx.body.push(`<w:tbl><w:tblPr><w:tblW w:w="0" w:type="auto"/></w:tblPr>${gridXml}${rowsXml}</w:tbl>`);
+      ctx.body.push(docxParagraph(''));
+      continue;
+    }
+
+    const listMatch = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (listMatch) {
+      flushParagraph();
+      const level = Math.min(Math.floor(listMatch[1].length / 2), 2);
+      const ordered = /\d/.test(listMatch[2]);
+      let itemText = listMatch[3];
+      i++;
+      // Continuation lines of the same item
+      while (i < lines.length && lines[i].trim() && /^\s+\S/.test(lines[i]) && !/^\s*([-*+]|\d+[.)])\s+/.test(lines[i])) {
+        itemText += ' ' + lines[i].trim();
+        i++;
+      }
+      const runs = (ordered ? docxRun(`${listMatch[2]} `) : '') + docxInlineRuns(ctx, itemText, footnotes);
+      const numbering = ordered ? `<w:ind w:left="${360 + level * 360}"/>` : `<w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="1"/></w:numPr>`;
+      ctx.body.push(docxParagraph(runs, 'ListParagraph', numbering));
+      continue;
+    }
+
+    paragraph.push(line);
+    i++;
+  }
+
+  flushParagraph();
+}
+
+// Insert footnote marks at citation positions, one footnote per cited position
+// Citations past the end of the text are dropped. Returns { text, footnotes } for docxInlineRuns
+function addDocxCitations(text, citations) {
+  const footnotes = [];
+  const positions = new Map();
+
+  for (const cit of [...citations].sort((a, b) => a.start_index - b.start_index)) {
+    if (positions.has(cit.end_index) || !(cit.end_index <= text.length)) continue;
+    footnotes.push({
+      title: cit.title || 'Source',
+      url: cit.url || '',
+      domain: cit.metadata?.site_domain || cit.metadata?.site_name || ''
+    });
+    positions.set(cit.end_index, footnotes.length - 1);
+  }
+
+  let marked = text;
+  for (const pos of [...positions.keys()].sort((a, b) => b - a)) {
+    const mark = `${DOCX_FOOTNOTE_MARK}${positions.get(pos)}${DOCX_FOOTNOTE_MARK}`;
+    marked = marked.slice(0, pos) + mark + marked.slice(pos);
+  }
+
+  return { text: marked, footnotes };
+}
+
+// Static parts of the DOCX package
+const DOCX_STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="80"/></w:pPr><w:rPr><w:color w:val="1A1A1A"/><w:sz w:val="48"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:qFormat/><w:rPr><w:color w:val="666666"/><w:sz w:val="20"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:color w:val="1A1A1A"/><w:sz w:val="32"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="26"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="PromptHeading"><w:name w:val="Prompt Heading"/><w:basedOn w:val="Heading2"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:pBdr><w:left w:val="single" w:sz="24" w:space="6" w:color="7C3AED"/></w:pBdr></w:pPr><w:rPr><w:color w:val="6D28D9"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="ResponseHeading"><w:name w:val="Response Heading"/><w:basedOn w:val="Heading2"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:pBdr><w:left w:val="single" w:sz="24" w:space="6" w:color="A8A29E"/></w:pBdr></w:pPr><w:rPr><w:color w:val="44403C"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="200" w:after="60"/><w:outlineLvl w:val="2"/></w:pPr><w:rPr><w:b/><w:sz w:val="24"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading4"><w:name w:val="heading 4"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:outlineLvl w:val="3"/></w:pPr><w:rPr><w:b/><w:i/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading5"><w:name w:val="heading 5"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:outlineLvl w:val="4"/></w:pPr><w:rPr><w:b/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading6"><w:name w:val="heading 6"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:outlineLvl w:val="5"/></w:pPr><w:rPr><w:i/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F3F3F3"/><w:spacing w:after="0" w:line="240" w:lineRule="auto"/><w:ind w:left="142" w:right="142"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="18"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="CodeLabel"><w:name w:val="Code Label"/><w:basedOn w:val="Normal"/><w:next w:val="Code"/><w:pPr><w:keepNext/><w:spacing w:before="120" w:after="0"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas"/><w:color w:val="888888"/><w:sz w:val="16"/></w:rPr></w:style>
+  <w:style w:type="character" w:customStyle="1" w:styleId="InlineCode"><w:name w:val="Inline Code"/><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/><w:shd w:val="clear" w:color="auto" w:fill="F3F3F3"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="Thinking"><w:name w:val="Thinking"/><w:basedOn w:val="Normal"/><w:pPr><w:pBdr><w:left w:val="single" w:sz="8" w:space="6" w:color="D6D3D1"/></w:pBdr><w:ind w:left="284"/></w:pPr><w:rPr><w:i/><w:color w:val="57534E"/><w:sz w:val="20"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="ToolCall"><w:name w:val="Tool Call"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="60"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas"/><w:color w:val="78716C"/><w:sz w:val="18"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:ind w:left="567"/></w:pPr><w:rPr><w:i/><w:color w:val="57534E"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="40"/><w:ind w:left="720"/></w:pPr></w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="TableText"><w:name w:val="Table Text"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0"/></w:pPr><w:rPr><w:sz w:val="20"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="FootnoteText"><w:name w:val="footnote text"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0"/></w:pPr><w:rPr><w:sz w:val="18"/></w:rPr></w:style>
+  <w:style w:type="character" w:styleId="FootnoteReference"><w:name w:val="footnote reference"/><w:rPr><w:vertAlign w:val="superscript"/></w:rPr></w:style>
+  <w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="6D28D9"/><w:u w:val="single"/></w:rPr></w:style>
+</w:styles>`;
+
+const DOCX_NUMBERING_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:abstractNum w:abstractNumId="0">
+    <w:multiLevelType w:val="hybridMultilevel"/>
+    <w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl>
+    <w:lvl w:ilvl="1"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="◦"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="1080" w:hanging="360"/></w:pPr></w:lvl>
+    <w:lvl w:ilvl="2"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="▪"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="1440" w:hanging="360"/></w:pPr></w:lvl>
+  </w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`;
+
+const DOCX_SETTINGS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:settings xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:footnotePr><w:footnote w:id="-1"/><w:footnote w:id="0"/></w:footnotePr>
+</w:settings>`;
+
+const DOCX_CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+  <Override PartName="/word/settings.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/>
+  <Override PartName="/word/footnotes.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footnotes+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const DOCX_ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+// Build word/footnotes.xml (ids -1 and 0 are the required separator footnotes)
+function buildDocxFootnotes(footnotes) {
+  const items = footnotes.map((fn, i) => {
+    const text = ` ${fn.title}${fn.domain ? ` - ${fn.domain}` : ''}. ${fn.url}`;
+    return `<w:footnote w:id="${i + 1}"><w:p><w:pPr><w:pStyle w:val="FootnoteText"/></w:pPr>` +
+      '<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteRef/></w:r>' +
+      `${docxRun(text)}</w:p></w:footnote>`;
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<w:footnotes xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<w:footnote w:type="separator" w:id="-1"><w:p><w:pPr><w:spacing w:after="0"/></w:pPr><w:r><w:separator/></w:r></w:p></w:footnote>' +
+    '<w:footnote w:type="continuationSeparator" w:id="0"><w:p><w:pPr><w:spacing w:after="0"/></w:pPr><w:r><w:continuationSeparator/></w:r></w:p></w:footnote>' +
+    items.join('') +
+    '</w:footnotes>';
+}
+
+// Convert conversation to a DOCX Blob
+// Walks the same message chain as convertToMarkdown(); artifacts are collected into appendices
+async function convertToDocx(data, options = {}) {
+  const { includeThinking = true, allBranches = false } = options;
+  const title = data.name || 'Claude Conversation';
+  const ctx = createDocxContext();
+
+  // Latest version of each artifact, keyed by artifact id or file path
+  const appendices = new Map();
+  const addAppendix = (key, name, content, lang) => {
+    if (!appendices.has(key)) {
+      appendices.set(key, { letter: String.fromCharCode(65 + (appendices.size % 26)) + (appendices.size >= 26 ? Math.floor(appendices.size / 26) : ''), name });
+    }
+    Object.assign(appendices.get(key), { name, content, lang });
+    return appendices.get(key).letter;
+  };
+
+  // Title block
+  ctx.body.push(docxParagraph(docxRun(title), 'Title'));
+  const meta = [`Model: ${getModelName(data)}`];
+  if (data.created_at) meta.push(`Created: ${formatTimestamp(data.created_at)}`);
+  if (data.updated_at) meta.push(`Updated: ${formatTimestamp(data.updated_at)}`);
+  if (data.project?.name) meta.push(`Project: ${data.project.name}`);
+  meta.push(`Exported: ${formatTimestamp(new Date().toISOString())}`);
+  ctx.body.push(docxParagraph(docxRun(meta.join('  ·  ')), 'Subtitle'));
+  if (data.uuid) {
+    const relId = addDocxLink(ctx, `https://claude.ai/chat/${data.uuid}`);
+    ctx.body.push(docxParagraph(`<w:hyperlink r:id="${relId}">${docxRun('Open in Claude', { style: 'Hyperlink' })}</w:hyperlink>`, 'Subtitle'));
+  }
+
+  const entries = allBranches
+    ? walkMessageTree(data)
+    : getMessageChain(data).map(msg => ({ msg, fork: null }));
+
+  for (const { msg, fork } of entries) {
+    if (fork) {
+      ctx.body.push(docxParagraph(docxRun(`Branch ${fork.branch}: ${fork.kind} (${fork.position} of ${fork.of})${fork.active ? ' - active' : ''}`), 'Heading1'));
+    }
+
+    const timestamp = formatTimestamp(msg.created_at);
+
+    if (msg.sender === 'human') {
+      ctx.body.push(docxParagraph(docxRun('Prompt') + docxRun(`   ${timestamp}`, { style: 'InlineCode' }), 'PromptHeading'));
+
+      const files = [
+        ...(msg.attachments || []).filter(a => a.extracted_content).map(a => a.file_name || 'attachment'),
+        ...(msg.files_v2 || []).filter(f => f.success && f.file_name).map(f => f.file_name)
+      ];
+      if (files.length > 0) {
+        ctx.body.push(docxParagraph(docxRun(`Attached: ${files.join(', ')}`), 'ToolCall'));
+      }
+
+      appendDocxMarkdown(ctx, extractTextContent(msg.content));
+
+    } else if (msg.sender === 'assistant') {
+      ctx.body.push(docxParagraph(docxRun('Response') + docxRun(`   ${timestamp}`, { style: 'InlineCode' }), 'ResponseHeading'));
+
+      for (const block of (msg.content || [])) {
+        if (block.type === 'thinking') {
+          if (includeThinking && block.thinking) {
+            ctx.body.push(docxParagraph(docxRun(`Thought process: ${getThinkingSummary(block)}`, { bold: true }), 'Thinking'));
+            for (const para of block.thinking.split(/\n{2,}/)) {
+              ctx.body.push(docxParagraph(docxRun(para), 'Thinking'));
+            }
+          }
+
+        } else if (block.type === 'tool_use') {
+          const input = block.input || {};
+          let label = describeToolUse(block);
+
+          if (block.name === 'create_file' && input.file_text) {
+            const filename = (input.path || '').split('/').pop();
+            const letter = addAppendix(input.path || filename, filename, input.file_text, getLanguageFromFilename(filename));
+            label += ` (see Appendix ${letter})`;
+          } else if (block.name === 'artifacts' && input.content && (input.command === 'create' || input.command === 'update')) {
+            const name = input.title || input.id || 'Untitled';
+            const letter = addAppendix(input.id || name, name, input.content, input.type === 'text/markdown' ? 'markdown' : getLanguageFromType(input.type || 'text/plain'));
+            label += ` (see Appendix ${letter})`;
+          }
+
+          ctx.body.push(docxParagraph(docxRun(label), 'ToolCall'));
+
+        } else if (block.type === 'text') {
+          const citations = block.citations || [];
+          if (citations.length > 0) {
+            const { text, footnotes } = addDocxCitations(block.text || '', citations);
+            appendDocxMarkdown(ctx, text, footnotes);
+          } else {
+            appendDocxMarkdown(ctx, block.text || '');
+          }
+        }
+      }
+    }
+  }
+
+  // Artifacts as appendices, each starting on a new page
+  for (const appendix of appendices.values()) {
+    ctx.body.push(docxParagraph('<w:r><w:br w:type="page"/></w:r>'));
+    ctx.body.push(docxParagraph(docxRun(`Appendix ${appendix.letter}: ${appendix.name}`), 'Heading1'));
+    if (appendix.lang === 'markdown') {
+      appendDocxMarkdown(ctx, appendix.content);
+    } else {
+      appendDocxCode(ctx, appendix.content, appendix.lang);
+    }
+  }
+
+  const documentXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<w:body>${ctx.body.join('')}` +
+    '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="567" w:footer="567" w:gutter="0"/></w:sectPr>' +
+    '</w:body></w:document>';
+
+  const documentRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    '<Relationship Id="rIdNumbering" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>' +
+    '<Relationship Id="rIdSettings" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/settings" Target="settings.xml"/>' +
+    '<Relationship Id="rIdFootnotes" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footnotes" Target="footnotes.xml"/>' +
+    ctx.links.map((url, i) => `<Relationship Id="rIdLink${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(url)}" TargetMode="External"/>`).join('') +
+    '</Relationships>';
+
+  const now = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const coreXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+    `<dc:title>${escapeXml(title)}</dc:title>` +
+    '<dc:creator>Claude Takeout</dc:creator>' +
+    `<dcterms:created xsi:type="dcterms:W3CDTF">${escapeXml(data.created_at ? new Date(data.created_at).toISOString().replace(/\.\d+Z$/, 'Z') : now)}</dcterms:created>` +
+    `<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>` +
+    '</cp:coreProperties>';
+
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', DOCX_CONTENT_TYPES_XML);
+  zip.file('_rels/.rels', DOCX_ROOT_RELS_XML);
+  zip.file('docProps/core.xml', coreXml);
+  zip.file('word/document.xml', documentXml);
+  zip.file('word/_rels/document.xml.rels', documentRels);
+  zip.file('word/styles.xml', DOCX_STYLES_XML);
+  zip.file('word/numbering.xml', DOCX_NUMBERING_XML);
+  zip.file('word/settings.xml', DOCX_SETTINGS_XML);
+  zip.file('word/footnotes.xml', buildDocxFootnotes(ctx.footnotes));
+
+  return await zip.generateAsync({
+    type: 'blob',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 6 }
+  });
+}
+
+// ============================================================================
+// Obsidian Vault Export
+// ============================================================================
+
+// Make a note name that is valid as an Obsidian filename and [[wikilink]] target
+function obsidianNoteName(text, maxLen = 80) {
+  const clean = String(text || '')
+    .replace(/[*"\\/<>:|?#^[\]]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '')
+    .substring(0, maxLen)
+    .trim();
+  return clean || 'Untitled';
+}
+
+// Build a YAML frontmatter block; strings are JSON-quoted (valid YAML), arrays become block lists
+function buildFrontmatter(fields) {
+  const lines = ['---'];
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined || value === null || value === '') continue;
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        lines.push(`${key}: []`);
+      } else {
+        lines.push(`${key}:`);
+        for (const item of value) lines.push(`  - ${JSON.stringify(item)}`);
+      }
+    } else if (typeof value === 'boolean' || typeof value === 'number') {
+      lines.push(`${key}: ${value}`);
+    } else {
+      lines.push(`${key}: ${JSON.stringify(String(value))}`);
+    }
+  }
+  lines.push('---');
+  return lines.join('\n');
+}
+
+// Create an empty vault; conversations are added one at a time during a bulk run
+function createObsidianVault() {
+  return {
+    zip: new JSZip(),
+    usedNames: new Set(),
+    projects: new Map(),       // project uuid -> { name, note, conversations: [] }
+    conversations: []          // { note, name, created, projectUuid, artifactCount }
+  };
+}
+
+// Reserve a note name that is unique across the whole vault (wikilinks resolve by name)
+function reserveNoteName(vault, baseName) {
+  let name = obsidianNoteName(baseName);
+  let counter = 2;
+  while (vault.usedNames.has(name.toLowerCase())) {
+    name = `${obsidianNoteName(baseName, 74)} (${counter})`;
+    counter++;
+  }
+  vault.usedNames.add(name.toLowerCase());
+  return name;
+}
+
+// Add one conversation note plus its artifact notes to the vault
+function addConversationToVault(vault, data) {
+  const title = data.name || 'Untitled';
+  const note = reserveNoteName(vault, title);
+  const artifacts = extractArtifacts(data);
+
+  // Project hub notes are written at the end, once all conversations are known
+  let project = null;
+  if (data.project?.uuid || data.project_uuid) {
+    const projectUuid = data.project?.uuid || data.project_uuid;
+    if (!vault.projects.has(projectUuid)) {
+      const projectName = data.project?.name || 'Untitled Project';
+      vault.projects.set(projectUuid, {
+        uuid: projectUuid,
+        name: projectName,
+        note: reserveNoteName(vault, `${projectName} (Project)`),
+        conversations: []
+      });
+    }
+    project = vault.projects.get(projectUuid);
+  }
+
+  // Artifacts become separate notes linked from the conversation
+  const artifactNotes = [];
+  for (const [filename, content] of Object.entries(artifacts)) {
+    // Keep the extension out of the note name - Obsidian reads [[name.py]] as a link to a non-note file
+    const lastDot = filename.lastIndexOf('.');
+    const base = lastDot > 0 ? filename.substring(0, lastDot) : filename;
+    const ext = lastDot > 0 ? filename.substring(lastDot + 1).toLowerCase() : '';
+    const isMarkdown = ext === 'md';
+    const artifactNote = reserveNoteName(vault, `${title} - ${base}${ext && !isMarkdown ? ` (${ext})` : ''}`);
+    const lang = getLanguageFromFilename(filename);
+    const fence = getCodeFence(content);
+    const body = isMarkdown ? content : `${fence}${lang}\n${content}\n${fence}`;
+
+    const artifactMd = [
+      buildFrontmatter({
+        type: 'claude-artifact',
+        filename,
+        language: lang,
+        conversation: `[[${note}]]`,
+        tags: ['claude/artifact']
+      }),
+      '',
+      `# ${filename}`,
+      '',
+      `From [[${note}]]`,
+      '',
+      body,
+      ''
+    ].join('\n');
+
+    vault.zip.file(`Artifacts/${artifactNote}.md`, artifactMd);
+    artifactNotes.push(artifactNote);
+  }
+
+  const frontmatter = buildFrontmatter({
+    uuid: data.uuid,
+    title,
+    created: data.created_at,
+    updated: data.updated_at,
+    model: getModelName(data),
+    project: project ? `[[${project.note}]]` : null,
+    starred: data.is_starred === true,
+    features: getConversationFeatures(data),
+    link: data.uuid ? `https://claude.ai/chat/${data.uuid}` : null,
+    tags: ['claude/conversation']
+  });
+
+  const links = [];
+  if (project) links.push(`> **Project:** [[${project.note}]]`);
+  if (artifactNotes.length > 0) links.push(`> **Artifacts:** ${artifactNotes.map(n => `[[${n}]]`).join(', ')}`);
+
+  const transcript = convertToMarkdown(data, { includeThinking: settings.includeThinking, allBranches: settings.allBranches });
+  const noteMd = [frontmatter, '', ...(links.length > 0 ? [...links, ''] : []), transcript].join('\n');
+  vault.zip.file(`Conversations/${note}.md`, noteMd);
+
+  const entry = {
+    note,
+    name: title,
+    created: data.created_at || '',
+    starred: data.is_starred === true,
+    artifactCount: artifactNotes.length
+  };
+  vault.conversations.push(entry);
+  if (project) project.conversations.push(entry);
+
+  return entry;
+}
+
+// Write project hub notes and the vault home note
+function finalizeObsidianVault(vault, errors = []) {
+  const byCreated = (a, b) => String(b.created).localeCompare(String(a.created));
+  const listEntry = (c) => `- [[${c.note}]]${c.starred ? ' ⭐' : ''} - ${c.created ? formatTimestamp(c.created) : 'unknown date'}${c.artifactCount > 0 ? ` · ${c.artifactCount} artifacts` : ''}`;
+
+  for (const project of vault.projects.values()) {
+    const lines = [
+      buildFrontmatter({ uuid: project.uuid, type: 'claude-project', tags: ['claude/project'] }),
+      '',
+      `# ${project.name}`,
+      '',
+      `*${project.conversations.length} conversations*`,
+      '',
+      ...[...project.conversations].sort(byCreated).map(listEntry),
+      ''
+    ];
+    vault.zip.file(`Projects/${project.note}.md`, lines.join('\n'));
+  }
+
+  const unfiled = vault.conversations.filter(c => ![...vault.projects.values()].some(p => p.conversations.includes(c)));
+  const home = [
+    buildFrontmatter({ type: 'claude-index', exported: new Date().toISOString(), tags: ['claude/index'] }),
+    '',
+    '# Claude Conversations',
+    '',
+    `**Exported:** ${formatTimestamp(new Date().toISOString())}  `,
+    `**Conversations:** ${vault.conversations.length}  `,
+    `**Projects:** ${vault.projects.size}`,
+    ''
+  ];
+
+  if (vault.projects.size > 0) {
+    home.push('## Projects', '');
+    for (const project of [...vault.projects.values()].sort((a, b) => a.name.localeCompare(b.name))) {
+      home.push(`- [[${project.note}]] (${project.conversations.length})`);
+    }
+    home.push('');
+  }
+
+  if (unfiled.length > 0) {
+    home.push('## Conversations', '');
+    home.push(...[...unfiled].sort(byCreated).map(listEntry));
+    home.push('');
+  }
+
+  if (errors.length > 0) {
+    home.push('## Errors', '');
+    errors.forEach(err => home.push(`- ${err}`));
+    home.push('');
+  }
+
+  vault.zip.file('Claude Conversations.md', home.join('\n'));
+}
+
+// ============================================================================
+// Messages API Conversion (JSONL dataset and API request export)
+// ============================================================================
+
+// API request exports use the conversation's own model; older conversations don't record one
+const API_REQUEST_FALLBACK_MODEL = 'claude-sonnet-4-5';
+const API_REQUEST_MAX_TOKENS = 8192;
+
+// Normalize tool_result content to what the Messages API accepts: a list of text blocks
+function toApiToolResultContent(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return JSON.stringify(content ?? '');
+
+  return content.map(item => {
+    if (item.type === 'text') {
+      return { type: 'text', text: item.text || '' };
+    }
+    if (item.type === 'knowledge') {
+      // Web search results
+      const header = [item.title, item.url].filter(Boolean).join('\n');
+      return { type: 'text', text: item.text ? `${header}\n\n${item.text}` : header };
+    }
+    return { type: 'text', text: JSON.stringify(item) };
+  });
+}
+
+// Convert a claude.ai message chain to Messages API messages ({ role, content: [blocks] })
+// claude.ai keeps tool_use and tool_result blocks inside one assistant message; the API expects each
+// tool_result in the following user turn, so assistant messages are split after their tool calls.
+// The API rejects tool calls without a result and conversations that don't start with the user, so
+// unanswered calls and leading assistant messages are dropped.
+// Options: includeThinking, signedThinkingOnly, includeToolCalls (calls and their results),
+// attachmentNames (attachment id -> filename)
+function toApiMessages(messages, options = {}) {
+  const {
+    includeThinking = true,
+    signedThinkingOnly = false,
+    includeToolCalls = true,
+    attachmentNames = null
+  } = options;
+
+  const apiMessages = [];
+  let generatedIds = 0;
+  const unmatchedToolUses = [];
+
+  // Consecutive blocks for the same role are merged into one message (the API requires alternation)
+  const pushBlocks = (role, blocks) => {
+    if (blocks.length === 0) return;
+    const last = apiMessages[apiMessages.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      apiMessages.push({ role, content: blocks });
+    }
+  };
+
+  for (const msg of messages) {
+    if (msg.sender === 'human') {
+      const blocks = [];
+
+      // Pasted text files become document blocks ahead of the prompt text
+      if (attachmentNames) {
+        for (const att of (msg.attachments || []).filter(a => a.extracted_content)) {
+          blocks.push({
+            type: 'document',
+            source: { type: 'text', media_type: 'text/plain', data: fixMojibake(att.extracted_content) },
+            title: (att.id && attachmentNames[att.id]) || att.file_name || 'attachment'
+          });
+        }
+      }
+
+      const text = extractTextContent(msg.content);
+      if (text.trim()) {
+        blocks.push({ type: 'text', text });
+      }
+      pushBlocks('user', blocks);
+
+    } else if (msg.sender === 'assistant') {
+      let pending = [];
+
+      for (const block of (msg.content || [])) {
+        if (block.type === 'thinking') {
+          if (includeThinking && block.thinking && (block.signature || !signedThinkingOnly)) {
+            const thinking = { type: 'thinking', thinking: block.thinking };
+            if (block.signature) thinking.signature = block.signature;
+            pending.push(thinking);
+          }
+
+        } else if (block.type === 'text') {
+          if ((block.text || '').trim()) {
+            pending.push({ type: 'text', text: block.text });
+          }
+
+        } else if (block.type === 'tool_use') {
+          if (includeToolCalls) {
+            const id = block.id || `toolu_takeout_${++generatedIds}`;
+            unmatchedToolUses.push({ id, name: block.name });
+            pending.push({ type: 'tool_use', id, name: block.name || 'unknown', input: block.input || {} });
+          }
+
+        } else if (block.type === 'tool_result') {
+          if (includeToolCalls) {
+            // Pair by id when present, otherwise with the oldest unmatched call to the same tool
+            let index = unmatchedToolUses.findIndex(t => block.tool_use_id && t.id === block.tool_use_id);
+            if (index < 0) index = unmatchedToolUses.findIndex(t => t.name === block.name);
+            if (index < 0) continue;
+            const [toolUse] = unmatchedToolUses.splice(index, 1);
+
+            pushBlocks('assistant', pending);
+            pending = [];
+
+            const result = { type: 'tool_result', tool_use_id: toolUse.id, content: toApiToolResultContent(block.content) };
+            if (block.is_error) result.is_error = true;
+            pushBlocks('user', [result]);
+          }
+        }
+      }
+
+      pushBlocks('assistant', pending);
+    }
+  }
+
+  const answered = new Set();
+  apiMessages.forEach(m => m.content.forEach(b => {
+    if (b.type === 'tool_result') answered.add(b.tool_use_id);
+  }));
+
+  const pruned = [];
+  for (const message of apiMessages) {
+    const content = message.content.filter(b => b.type !== 'tool_use' || answered.has(b.id));
+    if (content.length === 0) continue;
+
+    // Dropping a message can leave two turns from the same role next to each other
+    const last = pruned[pruned.length - 1];
+    if (last && last.role === message.role) {
+      last.content.push(...content);
+    } else {
+      pruned.push({ role: message.role, content });
+    }
+  }
+
+  // The first message must come from the user
+  while (pruned.length > 0 && pruned[0].role !== 'user') pruned.shift();
+
+  return pruned;
+}
+
+// Split a message chain into prompt/response turns: each human message plus the replies that follow it
+function splitIntoTurns(messages) {
+  const turns = [];
+  for (const msg of messages) {
+    if (msg.sender === 'human' || turns.length === 0) {
+      turns.push([msg]);
+    } else {
+      turns[turns.length - 1].push(msg);
+    }
+  }
+  return turns;
+}
+
+// Build JSONL dataset rows for a conversation
+// granularity: 'conversation' (one row) or 'turn' (one row per prompt/response exchange)
+function buildDatasetRows(data, systemPrompt, options = {}) {
+  const { granularity = 'conversation', ...apiOptions } = options;
+  const { idToFilename } = extractTextAttachments(data);
+  const chain = getMessageChain(data);
+
+  const source = {
+    conversation_uuid: data.uuid,
+    name: data.name || '',
+    model: data.model || null,
+    project: data.project?.name || null,
+    created_at: data.created_at
+  };
+
+  const makeRow = (messages, extra = {}) => {
+    const row = {};
+    if (systemPrompt) row.system = systemPrompt;
+    row.messages = toApiMessages(messages, { ...apiOptions, attachmentNames: idToFilename });
+    row.source = { ...source, ...extra };
+    return row;
+  };
+
+  if (granularity === 'turn') {
+    return splitIntoTurns(chain)
+      .map((turn, i) => makeRow(turn, { turn: i + 1, created_at: turn[0].created_at }))
+      .filter(row => row.messages.some(m => m.role === 'assistant') && row.messages[0].role === 'user');
+  }
+
+  const row = makeRow(chain);
+  return row.messages.length > 0 ? [row] : [];
+}
+
+// Build a Messages API request body that picks up the conversation where it left off
+// The API rejects unsigned thinking blocks and undeclared tools, so only signed thinking is kept and
+// each tool used gets a placeholder definition
+function buildApiRequest(data, systemPrompt) {
+  const { idToFilename } = extractTextAttachments(data);
+  const messages = toApiMessages(getMessageChain(data), {
+    signedThinkingOnly: true,
+    attachmentNames: idToFilename
+  });
+
+  const toolNames = new Set();
+  messages.forEach(m => m.content.forEach(b => {
+    if (b.type === 'tool_use') toolNames.add(b.name);
+  }));
+
+  const request = { model: data.model || API_REQUEST_FALLBACK_MODEL, max_tokens: API_REQUEST_MAX_TOKENS };
+  if (systemPrompt) request.system = systemPrompt;
+  if (toolNames.size > 0) {
+    request.tools = [...toolNames].map(name => ({
+      name,
+      description: `Placeholder for the claude.ai "${name}" tool used in this conversation`,
+      input_schema: { type: 'object' }
+    }));
+  }
+  request.messages = messages;
+  return request;
+}
+
+// ============================================================================
+// Jupyter Notebook Export
+// ============================================================================
+
+// Kernels for the languages Claude usually writes notebook code in
+const NOTEBOOK_KERNELS = {
+  python: { name: 'python3', display_name: 'Python 3', language: 'python', extension: '.py' },
+  r: { name: 'ir', display_name: 'R', language: 'R', extension: '.r' },
+  julia: { name: 'julia', display_name: 'Julia', language: 'julia', extension: '.jl' },
+  javascript: { name: 'javascript', display_name: 'JavaScript (Node.js)', language: 'javascript', extension: '.js' },
+  typescript: { name: 'tslab', display_name: 'TypeScript', language: 'typescript', extension: '.ts' },
+  bash: { name: 'bash', display_name: 'Bash', language: 'bash', extension: '.sh' }
+};
+
+// Fence labels that name the same language as a kernel
+const NOTEBOOK_LANGUAGE_ALIASES = {
+  py: 'python', python3: 'python', ipython: 'python',
+  js: 'javascript', node: 'javascript',
+  ts: 'typescript',
+  sh: 'bash', shell: 'bash', zsh: 'bash'
+};
+
+// Code execution tools and the language their code runs as
+const NOTEBOOK_EXECUTION_TOOLS = {
+  repl: 'javascript',
+  analysis: 'javascript',
+  bash_tool: 'bash',
+  bash: 'bash'
+};
+
+// Normalize a fence label to a kernel language, or null if no kernel runs it
+function notebookLanguage(lang) {
+  const key = (lang || '').toLowerCase();
+  const normalized = NOTEBOOK_LANGUAGE_ALIASES[key] || key;
+  return NOTEBOOK_KERNELS[normalized] ? normalized : null;
+}
+
+// Pick the notebook language from the code that appears most often (by block count), defaulting to Python
+function getDominantNotebookLanguage(messages) {
+  const counts = {};
+  const count = (lang) => {
+    const normalized = notebookLanguage(lang);
+    if (normalized) counts[normalized] = (counts[normalized] || 0) + 1;
+  };
+
+  for (const msg of messages) {
+    if (msg.sender !== 'assistant') continue;
+    for (const block of (msg.content || [])) {
+      if (block.type === 'text') {
+        extractCodeBlocks(block.text || '').forEach(b => count(b.lang));
+      } else if (block.type === 'tool_use' && NOTEBOOK_EXECUTION_TOOLS[block.name]) {
+        count(NOTEBOOK_EXECUTION_TOOLS[block.name]);
+      }
+    }
+  }
+
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return ranked.length > 0 ? ranked[0][0] : 'python';
+}
+
+// Split text into the line array notebooks store cell sources and outputs as
+function toNotebookSource(text) {
+  return String(text).split(/(?<=\n)/);
+}
+
+// Convert an execution tool_result into notebook stream outputs
+// bash_tool results are JSON with stdout/stderr, repl results are JSON with logs
+function toNotebookOutputs(result) {
+  const raw = typeof result.content === 'string'
+    ? result.content
+    : (result.content || []).filter(c => c.type === 'text').map(c => c.text).join('\n');
+
+  let stdout = raw;
+  let stderr = '';
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object') {
+      if ('stdout' in parsed || 'stderr' in parsed) {
+        stdout = parsed.stdout || '';
+        stderr = parsed.stderr || '';
+      } else if (Array.isArray(parsed.logs)) {
+        stdout = parsed.logs.join('\n');
+        stderr = parsed.error || '';
+      }
+    }
+  } catch (e) {
+    // Plain text output
+  }
+
+  if (result.is_error && !stderr) {
+    stderr = stdout;
+    stdout = '';
+  }
+
+  const outputs = [];
+  if (stdout) outputs.push({ output_type: 'stream', name: 'stdout', text: toNotebookSource(stdout) });
+  if (stderr) outputs.push({ output_type: 'stream', name: 'stderr', text: toNotebookSource(stderr) });
+  return outputs;
+}
+
+// Convert a conversation to a Jupyter notebook (nbformat 4.5)
+// Prompts and prose become Markdown cells; code in the notebook's language becomes code cells,
+// with output from code execution tools attached to the cell that ran it
+function convertToNotebook(data, options = {}) {
+  const { includeThinking = true } = options;
+  const messages = getMessageChain(data);
+  const language = getDominantNotebookLanguage(messages);
+  const kernel = NOTEBOOK_KERNELS[language];
+
+  const cells = [];
+  const addMarkdown = (text, merge = false) => {
+    if (!text.trim()) return;
+    const last = cells[cells.length - 1];
+    if (merge && last && last.cell_type === 'markdown' && last.mergeable) {
+      last.text += '\n\n' + text.trim();
+    } else {
+      cells.push({ cell_type: 'markdown', text: text.trim(), mergeable: merge });
+    }
+  };
+  const addCode = (code, outputs = []) => {
+    cells.push({ cell_type: 'code', text: code, outputs });
+  };
+  // Code in another language can't run in this kernel, so it stays a fenced Markdown block
+  const addForeignCode = (code, lang) => {
+    const fence = getCodeFence(code);
+    addMarkdown(`${fence}${lang}\n${code}\n${fence}`, true);
+  };
+
+  const metaParts = [`**Model:** ${getModelName(data)}`];
+  if (data.created_at) metaParts.push(`**Created:** ${formatTimestamp(data.created_at)}`);
+  if (data.uuid) metaParts.push(`**Link:** https://claude.ai/chat/${data.uuid}`);
+  addMarkdown(`# ${data.name || 'Untitled'}\n\n${metaParts.join('  \n')}`);
+
+  let promptNumber = 0;
+  for (const msg of messages) {
+    if (msg.sender === 'human') {
+      promptNumber++;
+      addMarkdown(`## 👤 Prompt ${promptNumber}\n\n${extractTextContent(msg.content)}`);
+      continue;
+    }
+    if (msg.sender !== 'assistant') continue;
+
+    addMarkdown('### 🤖 Claude', true);
+    const pendingExecutions = [];
+
+    for (const block of (msg.content || [])) {
+      if (block.type === 'text') {
+        for (const segment of splitCodeBlocks(block.text || '')) {
+          if (segment.type === 'text') {
+            addMarkdown(segment.text, true);
+          } else if (notebookLanguage(segment.lang) === language) {
+            addCode(segment.code);
+          } else {
+            addForeignCode(segment.code, segment.lang);
+          }
+        }
+
+      } else if (block.type === 'thinking') {
+        if (includeThinking && block.thinking) {
+          addMarkdown(`<details>\n<summary>💭 ${escapeHtml(getThinkingSummary(block))}</summary>\n\n${block.thinking}\n\n</details>`, true);
+        }
+
+      } else if (block.type === 'tool_use') {
+        const toolLanguage = NOTEBOOK_EXECUTION_TOOLS[block.name];
+        const input = block.input || {};
+        const code = toolLanguage === 'bash' ? input.command : input.code;
+        if (!toolLanguage || !code) {
+          addMarkdown(`*🔧 ${describeToolUse(block)}*`, true);
+          continue;
+        }
+
+        // Bash runs in a Python notebook through the %%bash cell magic
+        let cell = null;
+        if (toolLanguage === language) {
+          addCode(code);
+          cell = cells[cells.length - 1];
+        } else if (toolLanguage === 'bash' && language === 'python') {
+          addCode(`%%bash\n${code}`);
+          cell = cells[cells.length - 1];
+        } else {
+          addForeignCode(code, toolLanguage);
+        }
+        pendingExecutions.push({ id: block.id, name: block.name, cell });
+
+      } else if (block.type === 'tool_result') {
+        // Pair by id when present, otherwise with the oldest unanswered execution of the same tool
+        let index = pendingExecutions.findIndex(p => block.tool_use_id && p.id === block.tool_use_id);
+        if (index < 0) index = pendingExecutions.findIndex(p => p.name === block.name);
+        if (index < 0) continue;
+        const [execution] = pendingExecutions.splice(index, 1);
+
+        const outputs = toNotebookOutputs(block);
+        if (execution.cell) {
+          execution.cell.outputs.push(...outputs);
+        } else if (outputs.length > 0) {
+          const text = outputs.map(o => o.text.join('')).join('\n');
+          const fence = getCodeFence(text);
+          addMarkdown(`Output:\n\n${fence}\n${text}\n${fence}`, true);
+        }
+      }
+    }
+  }
+
+  let executionCount = 0;
+  const notebook = {
+    cells: cells.map((cell, i) => {
+      const out = { id: `cell-${i + 1}`, cell_type: cell.cell_type, metadata: {}, source: toNotebookSource(cell.text) };
+      if (cell.cell_type === 'code') {
+        out.execution_count = cell.outputs.length > 0 ? ++executionCount : null;
+        out.outputs = cell.outputs;
+      }
+      return out;
+    }),
+    metadata: {
+      kernelspec: { name: kernel.name, display_name: kernel.display_name, language: kernel.language },
+      language_info: { name: kernel.language, file_extension: kernel.extension },
+      claude: { conversation_uuid: data.uuid, model: data.model || null }
+    },
+    nbformat: 4,
+    nbformat_minor: 5
+  };
+
+  return JSON.stringify(notebook, null, 1);
+}
+
+// ============================================================================
+// Original functions (updated to use new helpers)
+// ============================================================================
+
+// Format timestamp
+function formatTimestamp(isoString) {
+  if (!isoString) return '';
+  const date = new Date(isoString);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const year = date.getFullYear();
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  const seconds = String(date.getSeconds()).padStart(2, '0');
+  return `${month}/${day}/${year} ${hours}:${minutes}:${seconds}`;
+}
+
+// Get model name from conversation data
+function getModelName(data) {
+  // Direct model field (newer conversations)
+  if (data.model) {
+    // Parse model string like "claude-sonnet-4-5-20250929"
+    const model = data.model.toLowerCase();
+    let variant = '';
+    let version = '';
+
+    if (model.includes('opus')) variant = 'Opus';
+    else if (model.includes('sonnet')) variant = 'Sonnet';
+    else if (model.includes('haiku')) variant = 'Haiku';
+
+    // Extract version numbers (e.g., "4-5" or "3-5")
+    const versionMatch = model.match(/(\d+)-(\d+)/);
+    if (versionMatch) {
+      version = ` ${versionMatch[1]}.${versionMatch[2]}`;
+    }
+
+    if (variant) {
+      return `Claude${version} ${variant}`;
+    }
+    return data.model; // Return raw if can't parse
+  }
+
+  // Check paprika_mode in settings (indicates thinking mode)
+  const paprika = data.settings?.paprika_mode;
+  if (paprika === 'extended') return 'Claude (extended thinking)';
+  if (paprika === 'normal') return 'Claude (thinking)';
+
+  // Check for thinking blocks in messages to infer model
+  const messages = data.chat_messages || [];
+  for (const msg of messages) {
+    if (msg.sender === 'assistant') {
+      for (const item of (msg.content || [])) {
+        if (item.type === 'thinking') {
+          return 'Claude (with thinking)';
+        }
+      }
+    }
+  }
+
+  return 'Claude';
+}
+
+// Convert conversation to Markdown
+// includeExportedAt: false leaves out the export time, so unchanged conversations convert to the same text
+function convertToMarkdown(data, options = {}) {
+  const {
+    embedArtifacts = false, seamlessMd = false, includeThinking = true, allBranches = false, branch = null,
+    includeExportedAt = true
+  } = options;
+  const lines = [];
+  const title = data.name || 'Claude Conversation';
+
+  // Extract artifacts for embedding or reference
+  const artifacts = extractArtifacts(data);
+
+  // Header
+  lines.push(`# ${title}`);
+  lines.push('');
+  if (data.created_at) {
+    lines.push(`**Created:** ${formatTimestamp(data.created_at)}  `);
+  }
+  if (data.updated_at) {
+    lines.push(`**Updated:** ${formatTimestamp(data.updated_at)}  `);
+  }
+  if (includeExportedAt) {
+    lines.push(`**Exported:** ${formatTimestamp(new Date().toISOString())}  `);
+  }
+  if (data.uuid) {
+    lines.push(`**Link:** [https://claude.ai/chat/${data.uuid}](https://claude.ai/chat/${data.uuid})  `);
+  }
+
+  // Either walk the whole tree (every regeneration/edit) or just the active branch
+  let entries;
+  if (allBranches) {
+    const branches = getMessageBranches(data);
+    const active = branches.find(b => b.active);
+    lines.push(`**Branches:** ${branches.length}${active ? ` (active: Branch ${active.number})` : ''}  `);
+    entries = walkMessageTree(data);
+  } else {
+    entries = getMessageChain(data).map(msg => ({ msg, fork: null }));
+  }
+  if (branch) {
+    lines.push(`**Branch:** ${branch}  `);
+  }
+  lines.push('');
+
+  for (const { msg, fork } of entries) {
+    const timestamp = formatTimestamp(msg.created_at);
+    const sender = msg.sender;
+
+    // Label each alternative where the conversation forks
+    if (fork) {
+      lines.push('---');
+      lines.push('');
+      lines.push(`### 🔀 Branch ${fork.branch}: ${fork.kind} (${fork.position} of ${fork.of})${fork.active ? ' - active' : ''}`);
+      lines.push('');
+    }
+
+    if (sender === 'human') {
+      lines.push('## Prompt:');
+      lines.push(timestamp);
+      lines.push('');
+      const text = extractTextContent(msg.content);
+      lines.push(text);
+      lines.push('');
+      lines.push('');
+
+    } else if (sender === 'assistant') {
+      lines.push('## Response:');
+      lines.push(timestamp);
+      lines.push('');
+
+      const content = msg.content || [];
+
+      // Collect all references from this response for footnotes
+      const allReferences = [];
+      const seenUrls = new Set();
+
+      for (const block of content) {
+        if (block.type === 'thinking') {
+          // Thinking block with proper summary (if enabled)
+          if (includeThinking) {
+            const thinkingText = block.thinking || '';
+            if (thinkingText) {
+              const fence = getCodeFence(thinkingText);
+              const summary = getThinkingSummary(block);
+              lines.push(`${fence}plaintext`);
+              lines.push(`Thought process: ${summary}`);
+              lines.push('');
+              lines.push(thinkingText);
+              lines.push(fence);
+              lines.push('');
+            }
+          }
+
+        } else if (block.type === 'tool_use') {
+          const toolName = block.name || '';
+          const input = block.input || {};
+
+          if (toolName === 'create_file') {
+            // Artifact creation
+            const path = input.path || '';
+            const filename = path.split('/').pop();
+            const desc = input.description || '';
+            lines.push('```plaintext');
+            lines.push(`Creating artifact: ${filename}`);
+            if (desc) lines.push(`Description: ${desc}`);
+            lines.push('```');
+            lines.push('');
+
+          } else if (toolName === 'present_files') {
+            // Present files - embed or reference artifacts
+            const filepaths = input.filepaths || [];
+            for (const filepath of filepaths) {
+              const filename = filepath.split('/').pop();
+              if (artifacts[filename]) {
+                if (embedArtifacts) {
+                  // Embed the actual content
+                  const content = artifacts[filename];
+                  const ext = filename.split('.').pop().toLowerCase();
+
+                  // Seamless embedding for markdown files
+                  if (seamlessMd && ext === 'md') {
+                    lines.push(`\n---\n\n**📄 ${filename}**\n`);
+                    lines.push(content);
+                    lines.push('\n---\n');
+                  } else {
+                    const langMap = { md: 'markdown', js: 'javascript', jsx: 'jsx', py: 'python', json: 'json', txt: '' };
+                    const lang = langMap[ext] || '';
+                    const fence = getCodeFence(content);
+                    lines.push(`\n**Artifact: ${filename}**\n`);
+                    lines.push(`${fence}${lang}`);
+                    lines.push(content);
+                    lines.push(fence);
+                  }
+                  lines.push('');
+                } else {
+                  // Reference format (compatible with replace_filepaths.py)
+                  lines.push(`\n**Artifact: ${filename}**\n`);
+                  lines.push('*Request*');
+                  lines.push('');
+                  lines.push('````javascript');
+                  lines.push(JSON.stringify({ filepaths: [filepath] }, null, 2));
+                  lines.push('````');
+                  lines.push('');
+                }
+              } else {
+                lines.push(`\n**Artifact: ${filename}** (not found)\n`);
+              }
+            }
+
+          } else if (toolName === 'web_search') {
+            // Web search
+            const query = input.query || '';
+            lines.push('```plaintext');
+            lines.push(`Web Search: ${query}`);
+            lines.push('```');
+            lines.push('');
+
+          } else if (toolName === 'web_fetch') {
+            // Web fetch
+            const url = input.url || '';
+            lines.push('```plaintext');
+            lines.push(`Web Fetch: ${url}`);
+            lines.push('```');
+            lines.push('');
+
+          } else if (toolName === 'bash_tool' || toolName === 'bash') {
+            // Bash command
+            const cmd = input.command || '';
+            const truncatedCmd = cmd.length > 100 ? cmd.substring(0, 100) + '...' : cmd;
+            lines.push('```plaintext');
+            lines.push(`Bash: ${truncatedCmd}`);
+            lines.push('```');
+            lines.push('');
+
+          } else if (toolName === 'str_replace' || toolName === 'str_replace_editor') {
+            // String replace / file edit
+            const path = input.path || input.file_path || '';
+            const filename = path.split('/').pop();
+            lines.push('```plaintext');
+            lines.push(`Edit: ${filename}`);
+            lines.push('```');
+            lines.push('');
+
+          } else if (toolName === 'view' || toolName === 'read_file') {
+            // View/read file
+            const path = input.path || input.file_path || '';
+            const filename = path.split('/').pop();
+            lines.push('```plaintext');
+            lines.push(`Reading: ${filename}`);
+            lines.push('```');
+            lines.push('');
+
+          } else if (toolName === 'write_file' || toolName === 'write') {
+            // Write file
+            const path = input.path || input.file_path || '';
+            const filename = path.split('/').pop();
+            lines.push('```plaintext');
+            lines.push(`Writing: ${filename}`);
+            lines.push('```');
+            lines.push('');
+
+          } else if (toolName === 'list_directory' || toolName === 'ls') {
+            // List directory
+            const path = input.path || '.';
+            lines.push('```plaintext');
+            lines.push(`Listing: ${path}`);
+            lines.push('```');
+            lines.push('');
+
+          } else if (toolName === 'artifacts') {
+            // Artifact creation/update via artifacts tool
+            const title = input.title || input.id || 'Untitled';
+            const command = input.command || 'create';
+            const action = command === 'update' ? 'Updating' : 'Creating';
+
+            if (command === 'create' || command === 'update') {
+              if (embedArtifacts && input.content) {
+                // Embed the artifact content
+                const content = input.content;
+                const type = input.type || 'text/plain';
+                const ext = type.includes('markdown') ? 'md' : 'txt';
+
+                if (seamlessMd && ext === 'md') {
+                  lines.push(`\n---\n\n**📄 ${title}**\n`);
+                  lines.push(content);
+                  lines.push('\n---\n');
+                } else {
+                  const langMap = { 'text/markdown': 'markdown', 'application/javascript': 'javascript', 'text/x-python': 'python', 'application/json': 'json' };
+                  const lang = langMap[type] || '';
+                  const fence = getCodeFence(content);
+                  lines.push(`\n**Artifact: ${title}**\n`);
+                  lines.push(`${fence}${lang}`);
+                  lines.push(content);
+                  lines.push(fence);
+                }
+                lines.push('');
+              } else {
+                lines.push('```plaintext');
+                lines.push(`${action} artifact: ${title}`);
+                lines.push('```');
+                lines.push('');
+              }
+            }
+
+          } else {
+            // Other tool use - show concisely
+            const inputStr = JSON.stringify(input, null, 2);
+            const fence = getCodeFence(inputStr);
+            lines.push(`${fence}plaintext`);
+            lines.push(`Tool: ${toolName}`);
+            lines.push(inputStr);
+            lines.push(fence);
+            lines.push('');
+          }
+
+        } else if (block.type === 'tool_result') {
+          const toolName = block.name || '';
+
+          if (toolName === 'web_search' && Array.isArray(block.content)) {
+            // Format web search results nicely
+            for (const result of block.content) {
+              if (result.type === 'knowledge') {
+                const resultTitle = result.title || '';
+                const url = result.url || '';
+                const domain = result.metadata?.site_domain || '';
+                lines.push(`> **${resultTitle}** [${domain}](${url})`);
+                lines.push('>');
+              }
+            }
+            lines.push('');
+          } else if (block.content) {
+            const toolContent = typeof block.content === 'string'
+              ? block.content
+              : JSON.stringify(block.content, null, 2);
+            const fence = getCodeFence(toolContent);
+            lines.push(`${fence}plaintext`);
+            lines.push(toolContent);
+            lines.push(fence);
+            lines.push('');
+          }
+
+        } else if (block.type === 'text') {
+          const rawText = block.text || '';
+          const citations = block.citations || [];
+
+          if (citations.length > 0) {
+            // Process text with citations
+            const { text: processedText, references } = processTextWithCitations(rawText, citations);
+            lines.push(processedText);
+
+            // Collect unique references
+            for (const ref of references) {
+              if (!seenUrls.has(ref.url)) {
+                seenUrls.add(ref.url);
+                allReferences.push(ref);
+              }
+            }
+          } else {
+            lines.push(rawText);
+          }
+          lines.push('');
+        }
+      }
+
+      // Add references section at the end of the response
+      if (allReferences.length > 0) {
+        lines.push(formatReferences(allReferences));
+      }
+
+      // Check for attachments/files (legacy handling)
+      if (msg.attachments && msg.attachments.length > 0) {
+        for (const att of msg.attachments) {
+          const filename = att.file_name || att.filename || 'file.md';
+          lines.push('*Request*');
+          lines.push('');
+          lines.push('````javascript');
+          lines.push(JSON.stringify({ filepaths: [`/mnt/user-data/outputs/${filename}`] }, null, 2));
+          lines.push('````');
+          lines.push('');
+        }
+      }
+
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// Extract text content from message
+function extractTextContent(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+  }
+  return '';
+}
+
+// getSummary removed - replaced by getThinkingSummary() above
+
+// Downloads go to settings.downloadFolder inside the Downloads folder; {date} becomes the date
+// (YYYY-MM-DD) of `date`. Characters Chrome rejects in paths are replaced
+function getDownloadPath(filename, date = new Date()) {
+  const dateStr = new Date(date).toISOString().slice(0, 10);
+  const folders = (settings.downloadFolder || '')
+    .replace(/\{date\}/g, dateStr)
+    .split(/[\\/]+/)
+    .map(part => part.trim().replace(/[<>:"|?*\x00-\x1f]/g, '_'))
+    .filter(part => part && part !== '.' && part !== '..');
+  return [...folders, filename].join('/');
+}
+
+// Save a file with chrome.downloads (through background.js) using the download folder and
+// settings.downloadConflict (or `conflict`). date fills in {date}; jobs pass their start time so a run
+// stays in one folder.
+// Resolves with { downloadId, filename } once the file is written, or { skipped: true, filename } when
+// the conflict policy skipped it; rejects if the download fails
+async function download(content, filename, type, { date = new Date(), conflict = settings.downloadConflict } = {}) {
+  const blob = new Blob([content], { type: type });
+  const url = URL.createObjectURL(blob);
+  try {
+    const result = await chrome.runtime.sendMessage({
+      action: 'saveDownload',
+      url,
+      filename: getDownloadPath(filename, date),
+      conflict
+    });
+    if (!result || result.error) {
+      throw new Error(`Download of ${filename} failed: ${result?.error || 'no response'}`);
+    }
+    return result;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Serialize a conversation for JSON export
+// In all-branches mode a summary of every root-to-leaf path is added next to the raw API data
+function conversationToJson(data) {
+  if (!settings.allBranches) {
+    return JSON.stringify(data, null, 2);
+  }
+  const branches = getMessageBranches(data).map(branch => ({
+    number: branch.number,
+    active: branch.active,
+    leaf_message_uuid: branch.leafUuid,
+    message_uuids: branch.messages.map(m => m.uuid)
+  }));
+  return JSON.stringify({ ...data, branches }, null, 2);
+}
+
+// Safe filename
+function safeFilename(name) {
+  return (name || 'conversation').replace(/[^a-z0-9]/gi, '_').substring(0, 50);
+}
+
+// ============================================================================
+// Conversation Listing - paginated, newest first
+// ============================================================================
+
+const CONVERSATION_PAGE_SIZE = 100;
+
+// List an org's conversations one page at a time
+// fetchPage({ offset, limit, cursor }) resolves to one page: { data: [...], nextCursor, hasMore }.
+// onPage(conversations) is called with the list so far after each page arrives.
+// maxCount > 0 stops after that many (the most recently updated). Returns { conversations, truncated }
+async function listConversations(fetchPage, options = {}) {
+  const { maxCount = 0, pageSize = CONVERSATION_PAGE_SIZE, onPage = null } = options;
+  const conversations = [];
+  const seen = new Set();
+  let offset = 0;
+  let cursor = null;
+
+  for (;;) {
+    const limit = maxCount > 0 ? Math.min(pageSize, maxCount - conversations.length) : pageSize;
+    const page = await fetchPage({ offset, limit, cursor });
+    const items = page.data || [];
+
+    // A conversation updated while listing moves to the top and can show up on two pages
+    let added = 0;
+    for (const conv of items) {
+      if (seen.has(conv.uuid)) continue;
+      seen.add(conv.uuid);
+      conversations.push(conv);
+      added++;
+    }
+    offset += items.length;
+    cursor = page.nextCursor || null;
+
+    // The last page: the server says so, or (without a cursor) the page isn't full. A page larger than
+    // the limit means the server ignored it and sent everything; a page with nothing new means it
+    // ignored the offset.
+    const lastPage = page.hasMore === false || items.length === 0 || added === 0 ||
+      (!cursor && items.length !== limit);
+
+    if (maxCount > 0 && conversations.length >= maxCount) {
+      const truncated = conversations.length > maxCount || !lastPage;
+      conversations.length = maxCount;
+      if (onPage) await onPage(conversations);
+      return { conversations, truncated };
+    }
+    if (onPage) await onPage(conversations);
+    if (lastPage) break;
+  }
+
+  return { conversations, truncated: false };
+}
+
+// ============================================================================
+// Conversation Filters - narrow a bulk export before it runs
+// ============================================================================
+
+// dateField: 'updated' or 'created'; from/to: YYYY-MM-DD, inclusive, in local time
+// project: '' for any, 'none' for conversations outside projects, or a project uuid
+// model: '' for any, 'default' for conversations without a model, or a model id
+// title: substring (case-insensitive), or a regular expression when titleRegex is set
+const defaultConversationFilter = {
+  dateField: 'updated',
+  from: '',
+  to: '',
+  project: '',
+  starred: false,
+  model: '',
+  title: '',
+  titleRegex: false
+};
+
+function isConversationFilterActive(filter) {
+  if (!filter) return false;
+  return !!(filter.from || filter.to || filter.project || filter.starred || filter.model || filter.title);
+}
+
+function getConversationProjectUuid(conv) {
+  return conv.project_uuid || conv.project?.uuid || null;
+}
+
+// Build the title test for a filter; throws on an invalid regular expression
+function compileTitleMatcher(filter) {
+  if (!filter.title) return () => true;
+  if (filter.titleRegex) {
+    const pattern = new RegExp(filter.title, 'i');
+    return (name) => pattern.test(name);
+  }
+  const needle = filter.title.toLowerCase();
+  return (name) => name.toLowerCase().includes(needle);
+}
+
+// Keep the conversations (list entries) that match every set part of the filter
+function filterConversations(conversations, filter) {
+  if (!isConversationFilterActive(filter)) return conversations;
+
+  const matchesTitle = compileTitleMatcher(filter);
+  const from = filter.from ? new Date(`${filter.from}T00:00:00`).getTime() : -Infinity;
+  const to = filter.to ? new Date(`${filter.to}T23:59:59.999`).getTime() : Infinity;
+  const dateKey = filter.dateField === 'created' ? 'created_at' : 'updated_at';
+
+  return conversations.filter(conv => {
+    if (filter.from || filter.to) {
+      const time = new Date(conv[dateKey]).getTime();
+      if (!(time >= from && time <= to)) return false;
+    }
+    if (filter.project) {
+      const projectUuid = getConversationProjectUuid(conv);
+      if (filter.project === 'none' ? projectUuid : projectUuid !== filter.project) return false;
+    }
+    if (filter.starred && !conv.is_starred) return false;
+    if (filter.model && (conv.model || 'default') !== filter.model) return false;
+    return matchesTitle(conv.name || '');
+  });
+}
+
+// Projects and models that appear in a conversation list, for the filter dropdowns
+// projectNames (uuid -> name) fills in names the list entries don't carry
+// Returns { projects: [{ uuid, name, count }], models: [{ model, count }] }, most used first
+function getConversationFacets(conversations, projectNames = {}) {
+  const projects = new Map();
+  const models = new Map();
+  for (const conv of conversations) {
+    const projectUuid = getConversationProjectUuid(conv);
+    if (projectUuid) {
+      const entry = projects.get(projectUuid) || {
+        uuid: projectUuid,
+        name: conv.project?.name || projectNames[projectUuid] || `Project ${projectUuid.substring(0, 8)}`,
+        count: 0
+      };
+      entry.count++;
+      projects.set(projectUuid, entry);
+    }
+    const model = conv.model || 'default';
+    models.set(model, (models.get(model) || 0) + 1);
+  }
+  return {
+    projects: [...projects.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    models: [...models.entries()].map(([model, count]) => ({ model, count })).sort((a, b) => b.count - a.count)
+  };
+}
+
+// ============================================================================
+// Incremental Export - manifest of what the last bulk run exported
+// ============================================================================
+
+// Compare the conversation list with the manifest from the last export
+// Returns { changed: conversations that are new or have a different updated_at, deleted: [{ uuid, name, updated_at }] }
+function diffAgainstManifest(conversations, manifest) {
+  const previous = manifest?.conversations || {};
+  const current = new Set(conversations.map(c => c.uuid));
+
+  const changed = conversations.filter(c => previous[c.uuid]?.updated_at !== c.updated_at);
+  const deleted = Object.entries(previous)
+    .filter(([uuid]) => !current.has(uuid))
+    .map(([uuid, entry]) => ({ uuid, name: entry.name, updated_at: entry.updated_at }));
+
+  return { changed, deleted };
+}
+
+// Record a finished run: exported conversations get their list updated_at, deleted ones are dropped
+// Failed conversations keep their previous entry (or stay absent), so the next delta run retries them
+function updateManifest(manifest, exported, deleted = []) {
+  const conversations = { ...(manifest?.conversations || {}) };
+  for (const conv of deleted) {
+    delete conversations[conv.uuid];
+  }
+  for (const conv of exported) {
+    conversations[conv.uuid] = { updated_at: conv.updated_at, name: conv.name || '' };
+  }
+  return { exportedAt: new Date().toISOString(), conversations };
+}
+
+// Generate deletions.md listing conversations removed since the last export
+function generateDeletionsList(deleted, manifest) {
+  const lines = [
+    '# Deleted Conversations',
+    '',
+    `Conversations in the previous export (${manifest?.exportedAt ? formatTimestamp(manifest.exportedAt) : 'unknown date'}) that no longer exist on claude.ai.`,
+    '',
+    '| Conversation | UUID | Last Updated |',
+    '|--------------|------|--------------|'
+  ];
+  for (const conv of deleted) {
+    lines.push(`| ${conv.name || 'Untitled'} | \`${conv.uuid}\` | ${conv.updated_at ? formatTimestamp(conv.updated_at) : ''} |`);
+  }
+  return lines.join('\n');
+}
+
+// Generate errors.md listing conversations a bulk export couldn't fetch
+function generateErrorsList(failed) {
+  const lines = [
+    '# Export Errors',
+    '',
+    `${failed.length} conversations could not be exported. Use "Retry failed" in the popup to fetch just these again.`,
+    '',
+    '| Conversation | UUID | Error |',
+    '|--------------|------|-------|'
+  ];
+  for (const conv of failed) {
+    const error = String(conv.error || '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    lines.push(`| ${conv.name || 'Untitled'} | \`${conv.uuid}\` | ${error} |`);
+  }
+  return lines.join('\n');
+}
+
+// ============================================================================
+// Export Job Cache - conversations fetched by a bulk job, kept in IndexedDB until its output is built
+// ============================================================================
+
+const TAKEOUT_DB = 'claude-takeout';
+const TAKEOUT_DB_VERSION = 3;
+const JOB_CACHE_STORE = 'jobConversations';
+const EXPORT_FOLDER_STORE = 'exportFolder';  // version 2: the chosen export folder's directory handle
+const ARCHIVE_STORE = 'conversationArchive';  // version 3: auto-archived conversations, one record per version
+
+// Open the extension's database, creating any store added since the last version
+function openTakeoutDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(TAKEOUT_DB, TAKEOUT_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(JOB_CACHE_STORE)) {
+        db.createObjectStore(JOB_CACHE_STORE, { keyPath: 'uuid' });
+      }
+      if (!db.objectStoreNames.contains(EXPORT_FOLDER_STORE)) {
+        db.createObjectStore(EXPORT_FOLDER_STORE);
+      }
+      if (!db.objectStoreNames.contains(ARCHIVE_STORE)) {
+        db.createObjectStore(ARCHIVE_STORE, { keyPath: ['uuid', 'updated_at'] });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run a single request against one store and resolve with its result once committed
+async function takeoutDbRequest(storeName, mode, makeRequest) {
+  const db = await openTakeoutDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = makeRequest(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function jobCacheRequest(mode, makeRequest) {
+  return takeoutDbRequest(JOB_CACHE_STORE, mode, makeRequest);
+}
+
+function putCachedConversation(data) {
+  return jobCacheRequest('readwrite', store => store.put(data));
+}
+
+function getCachedConversation(uuid) {
+  return jobCacheRequest('readonly', store => store.get(uuid));
+}
+
+function clearJobCache() {
+  return jobCacheRequest('readwrite', store => store.clear());
+}
+
+// ============================================================================
+// Export Folder - bulk exports written straight into a local folder (File System Access API)
+// ============================================================================
+
+// The directory handle is kept in IndexedDB, since chrome.storage can't hold it. Access has to be
+// granted from a page the user clicks in (folder.html); jobs only check that it still is.
+
+function loadExportFolder() {
+  return takeoutDbRequest(EXPORT_FOLDER_STORE, 'readonly', store => store.get('root')).then(handle => handle || null);
+}
+
+function saveExportFolder(handle) {
+  return takeoutDbRequest(EXPORT_FOLDER_STORE, 'readwrite', store => store.put(handle, 'root'));
+}
+
+function clearExportFolder() {
+  return takeoutDbRequest(EXPORT_FOLDER_STORE, 'readwrite', store => store.delete('root'));
+}
+
+// Whether the folder can be written to; with request set, ask for access if it isn't granted yet
+// (only works in response to a click)
+async function hasExportFolderAccess(handle, request = false) {
+  const options = { mode: 'readwrite' };
+  if (await handle.queryPermission(options) === 'granted') return true;
+  return request && await handle.requestPermission(options) === 'granted';
+}
+
+// Collects the files populateConversationFolder() adds, in place of a JSZip folder
+function createFolderWriter() {
+  return {
+    files: [],
+    file(path, content) {
+      this.files.push({ path, content });
+      return this;
+    }
+  };
+}
+
+// Write one file under a directory handle, creating subfolders as needed and replacing any existing file
+async function writeFileToFolder(directory, path, content) {
+  const parts = path.split('/').filter(Boolean);
+  const name = parts.pop();
+  let dir = directory;
+  for (const part of parts) {
+    dir = await dir.getDirectoryHandle(part, { create: true });
+  }
+  const fileHandle = await dir.getFileHandle(name, { create: true });
+  const writable = await fileHandle.createWritable();
+  try {
+    await writable.write(content);
+  } finally {
+    await writable.close();
+  }
+}
+
+// Write a conversation's folder (the Mega-Zip layout) to <root>/<project>/<conversation>/
+// Folder names end with the start of the uuid, so later runs overwrite the same folder, and a
+// folder left behind by a renamed conversation is removed. Returns the folder's path
+async function writeConversationToFolder(root, data, organizationId = null) {
+  const projectUuid = data.project_uuid || data.project?.uuid;
+  const projectFolder = projectUuid
+    ? safeFilename(data.project?.name || `Project_${projectUuid.substring(0, 8)}`)
+    : 'No_Project';
+  const shortId = (data.uuid || '').substring(0, 8);
+  const conversationFolder = `${safeFilename(data.name || data.uuid)}_${shortId}`;
+
+  const writer = createFolderWriter();
+  await populateConversationFolder(writer, data, null, organizationId);
+
+  const projectDir = await root.getDirectoryHandle(projectFolder, { create: true });
+  for await (const [name, entry] of projectDir.entries()) {
+    if (entry.kind === 'directory' && name !== conversationFolder && shortId && name.endsWith(`_${shortId}`)) {
+      await projectDir.removeEntry(name, { recursive: true });
+    }
+  }
+  const dir = await projectDir.getDirectoryHandle(conversationFolder, { create: true });
+  for (const { path, content } of writer.files) {
+    await writeFileToFolder(dir, path, content);
+  }
+  return `${projectFolder}/${conversationFolder}`;
+}
+
+// ============================================================================
+// Conversation Archive - every conversation claude.ai loads while browsing, kept when auto-archive is on
+// ============================================================================
+
+// content.js hands each captured conversation to the offscreen document, since the content script's
+// IndexedDB belongs to claude.ai. Records are keyed by [uuid, updated_at], so each version is kept once.
+
+function archiveRequest(mode, makeRequest) {
+  return takeoutDbRequest(ARCHIVE_STORE, mode, makeRequest);
+}
+
+// Store one version of a conversation; data without an updated_at can't be told apart from later versions
+async function archiveConversation(data, orgId = null) {
+  if (!data?.uuid || !data.updated_at) return false;
+  await archiveRequest('readwrite', store => store.put({
+    uuid: data.uuid,
+    updated_at: data.updated_at,
+    name: data.name || '',
+    orgId,
+    archivedAt: new Date().toISOString(),
+    data
+  }));
+  return true;
+}
+
+// The archived copy of a conversation as of updated_at, or null if that version wasn't captured
+async function getArchivedConversation(uuid, updatedAt) {
+  if (!uuid || !updatedAt) return null;
+  const record = await archiveRequest('readonly', store => store.get([uuid, updatedAt]));
+  return record?.data || null;
+}
+
+// Count the archived conversations and the versions kept of them
+async function getArchiveStats() {
+  const keys = await archiveRequest('readonly', store => store.getAllKeys());
+  return { conversations: new Set(keys.map(([uuid]) => uuid)).size, versions: keys.length };
+}
+
+function clearArchive() {
+  return archiveRequest('readwrite', store => store.clear());
+}
+
+// ============================================================================
+// Official Export Import - conversations.json from claude.ai Settings > Export data
+// ============================================================================
+
+// Convert a conversation from the official export into the chat_conversations API shape
+// The official dump has no message tree, model or project, and older dumps only have plain `text` per
+// message, so messages are chained in order and given text content blocks where needed
+function normalizeOfficialConversation(conv) {
+  let parentUuid = null;
+  const chatMessages = (conv.chat_messages || []).map((msg, index) => {
+    const content = Array.isArray(msg.content) && msg.content.length > 0
+      ? msg.content
+      : [{ type: 'text', text: msg.text || '' }];
+
+    const normalized = {
+      ...msg,
+      uuid: msg.uuid || `${conv.uuid}-${index}`,
+      index,
+      content,
+      attachments: msg.attachments || [],
+      // Uploaded files are listed by name only and can't be fetched without the live API
+      files_v2: [],
+      parent_message_uuid: parentUuid
+    };
+    parentUuid = normalized.uuid;
+    return normalized;
+  });
+
+  return {
+    ...conv,
+    name: conv.name || '',
+    model: conv.model || null,
+    current_leaf_message_uuid: parentUuid,
+    chat_messages: chatMessages
+  };
+}
+
+// Read and normalize the conversations from an official export (conversations.json or the zip it came in)
+async function readOfficialExport(file) {
+  let text;
+  if (/\.zip$/i.test(file.name)) {
+    const zip = await JSZip.loadAsync(file);
+    const entry = Object.values(zip.files).find(f => !f.dir && /(^|\/)conversations\.json$/.test(f.name));
+    if (!entry) {
+      throw new Error('No conversations.json found in the zip');
+    }
+    text = await entry.async('string');
+  } else {
+    text = await file.text();
+  }
+
+  const parsed = JSON.parse(text);
+  const conversations = Array.isArray(parsed) ? parsed : parsed?.conversations;
+  if (!Array.isArray(conversations) || conversations.some(c => !Array.isArray(c.chat_messages))) {
+    throw new Error('Not a claude.ai conversations export');
+  }
+
+  return conversations.map(normalizeOfficialConversation);
+}
+
+// ============================================================================
+// Filename Generation with Settings
+// ============================================================================
+
+function generateFilename(name, ext, projectName = null) {
+  const title = safeFilename(name);
+  const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+  const projectPrefix = projectName ? `[${safeFilename(projectName)}-project]_` : '';
+
+  switch (settings.filenameStyle) {
+    case 'title_date':
+      return `${projectPrefix}${title}_${date}.${ext}`;
+    case 'date_title':
+      return `${projectPrefix}${date}_${title}.${ext}`;
+    default:
+      return `${projectPrefix}${title}.${ext}`;
+  }
+}
@@ -0,0 +1,66 @@
+// Export folder page - picks the local folder bulk exports are written to (File System Access API)
+// The popup can't show the folder picker, because it closes as soon as the picker takes focus
+
+(async function() {
+  'use strict';
+
+  const status = document.getElementById('status');
+  const allowButton = document.getElementById('allowFolder');
+  const forgetButton = document.getElementById('forgetFolder');
+
+  // Show the chosen folder and whether bulk exports can write to it right now
+  async function showFolder() {
+    const handle = await loadExportFolder();
+    allowButton.style.display = 'none';
+    forgetButton.style.display = handle ? 'block' : 'none';
+
+    if (!handle) {
+      status.className = 'status waiting';
+      status.textContent = 'No folder chosen. Bulk exports are saved to Downloads.';
+    } else if (await hasExportFolderAccess(handle)) {
+      status.className = 'status ready';
+      status.textContent = `Bulk exports are written to "${handle.name}".`;
+    } else {
+      // Chrome only keeps access for the session unless "Allow on every visit" is picked
+      status.className = 'status error';
+      status.textContent = `Access to "${handle.name}" has to be allowed again before exports can write to it.`;
+      allowButton.style.display = 'block';
+    }
+  }
+
+  document.getElementById('chooseFolder').addEventListener('click', async () => {
+    let handle;
+    try {
+      handle = await window.showDirectoryPicker({ id: 'claude-takeout', mode: 'readwrite' });
+    } catch (e) {
+      // Closing the picker isn't an error
+      if (e.name !== 'AbortError') {
+        status.className = 'status error';
+        status.textContent = `Couldn't open the folder: ${e.message}`;
+      }
+      return;
+    }
+    await saveExportFolder(handle);
+    await showFolder();
+  });
+
+  allowButton.addEventListener('click', async () => {
+    const handle = await loadExportFolder();
+    if (handle) {
+      await hasExportFolderAccess(handle, true);
+    }
+    await showFolder();
+  });
+
+  forgetButton.addEventListener('click', async () => {
+    await clearExportFolder();
+    await showFolder();
+  });
+
+  try {
+    await showFolder();
+  } catch (e) {
+    status.className = 'status error';
+    status.textContent = `Couldn't load the export folder: ${e.message}`;
+  }
+})();
@@ -0,0 +1,314 @@
+// Git sync - commits bulk-exported conversations as Markdown into a Git repository in the export folder
+// The repository has its own subfolder, so folder exports (which write to the export folder itself)
+// don't show up in its work tree.
+// Loaded after exporter.js in offscreen.html. Writes loose objects, trees, commits, the branch ref and
+// .git/index directly, so the repository works with the git command line (and can be pushed) without
+// a Git library.
+
+// ============================================================================
+// Git Objects
+// ============================================================================
+
+const GIT_SYNC_FOLDER = 'claude-git';  // in the export folder
+const GIT_SYNC_BRANCH = 'main';
+const GIT_SYNC_STATE = 'claude-takeout.json';  // in .git/, records the files and conversations last committed
+const GIT_AUTHOR = 'Claude Takeout <claude-takeout@localhost>';
+
+const gitTextEncoder = new TextEncoder();
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+async function sha1Bytes(bytes) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-1', bytes));
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+  return new Uint8Array(hex.match(/../g).map(pair => parseInt(pair, 16)));
+}
+
+// zlib-compress bytes, the format of loose objects
+async function deflateBytes(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Directory handle for a relative path, or null if it doesn't exist and create isn't set
+async function getFolderAt(root, path, create = false) {
+  let dir = root;
+  for (const part of path.split('/').filter(Boolean)) {
+    try {
+      dir = await dir.getDirectoryHandle(part, { create });
+    } catch (e) {
+      if (e.name === 'NotFoundError' || e.name === 'TypeMismatchError') return null;
+      throw e;
+    }
+  }
+  return dir;
+}
+
+// Text of a file under root, or null if it doesn't exist
+async function readFolderText(root, path) {
+  const parts = path.split('/');
+  const name = parts.pop();
+  const dir = await getFolderAt(root, parts.join('/'));
+  if (!dir) return null;
+  try {
+    const fileHandle = await dir.getFileHandle(name);
+    return await (await fileHandle.getFile()).text();
+  } catch (e) {
+    if (e.name === 'NotFoundError' || e.name === 'TypeMismatchError') return null;
+    throw e;
+  }
+}
+
+// Store an object in .git/objects unless it's already there; returns its hex SHA-1
+async function writeGitObject(gitDir, type, body) {
+  const data = concatBytes([gitTextEncoder.encode(`${type} ${body.length}\0`), body]);
+  const sha = bytesToHex(await sha1Bytes(data));
+  const dir = await getFolderAt(gitDir, `objects/${sha.substring(0, 2)}`, true);
+  try {
+    await dir.getFileHandle(sha.substring(2));
+  } catch (e) {
+    if (e.name !== 'NotFoundError') throw e;
+    await writeFileToFolder(dir, sha.substring(2), await deflateBytes(data));
+  }
+  return sha;
+}
+
+// Write the tree for a set of files (path -> { sha }) and its subtrees; returns the root tree's SHA-1
+async function writeGitTree(gitDir, files, prefix = '') {
+  const blobs = new Map();
+  const folders = new Map();
+  for (const [path, file] of Object.entries(files)) {
+    const rest = path.substring(prefix.length);
+    const slash = rest.indexOf('/');
+    if (slash === -1) {
+      blobs.set(rest, file.sha);
+    } else {
+      const name = rest.substring(0, slash);
+      if (!folders.has(name)) folders.set(name, {});
+      folders.get(name)[path] = file;
+    }
+  }
+
+  const entries = [...blobs].map(([name, sha]) => ({ name, mode: '100644', sha, sortKey: name }));
+  for (const [name, subFiles] of folders) {
+    entries.push({ name, mode: '40000', sha: await writeGitTree(gitDir, subFiles, `${prefix}${name}/`), sortKey: `${name}/` });
+  }
+  // Git orders entries by name, comparing folder names as if they ended in '/'
+  entries.sort((a, b) => (a.sortKey < b.sortKey ? -1 : a.sortKey > b.sortKey ? 1 : 0));
+
+  const body = concatBytes(entries.flatMap(entry => [
+    gitTextEncoder.encode(`${entry.mode} ${entry.name}\0`),
+    hexToBytes(entry.sha)
+  ]));
+  return writeGitObject(gitDir, 'tree', body);
+}
+
+// "<seconds> <+hhmm>" as used in commit headers
+function formatGitTime(date) {
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  return `${Math.floor(date.getTime() / 1000)} ${sign}${hours}${minutes}`;
+}
+
+async function writeGitCommit(gitDir, tree, parent, message) {
+  const signature = `${GIT_AUTHOR} ${formatGitTime(new Date())}`;
+  const lines = [`tree ${tree}`];
+  if (parent) lines.push(`parent ${parent}`);
+  lines.push(`author ${signature}`, `committer ${signature}`, '', message.trimEnd(), '');
+  return writeGitObject(gitDir, 'commit', gitTextEncoder.encode(lines.join('\n')));
+}
+
+// Write .git/index (version 2) listing exactly the committed files, so `git status` shows a clean tree
+// Stat fields other than the size are left at zero; git re-checks those files and refreshes them
+async function writeGitIndex(gitDir, files) {
+  const paths = Object.keys(files).sort();
+  const parts = [];
+  const header = new DataView(new ArrayBuffer(12));
+  header.setUint32(0, 0x44495243);  // "DIRC"
+  header.setUint32(4, 2);
+  header.setUint32(8, paths.length);
+  parts.push(new Uint8Array(header.buffer));
+
+  for (const path of paths) {
+    const name = gitTextEncoder.encode(path);
+    const length = 62 + name.length;
+    const entry = new Uint8Array(length + (8 - (length % 8)));
+    const view = new DataView(entry.buffer);
+    view.setUint32(24, 0o100644);
+    view.setUint32(36, files[path].size);
+    entry.set(hexToBytes(files[path].sha), 40);
+    view.setUint16(60, Math.min(name.length, 0xfff));
+    entry.set(name, 62);
+    parts.push(entry);
+  }
+
+  const content = concatBytes(parts);
+  await writeFileToFolder(gitDir, 'index', concatBytes([content, await sha1Bytes(content)]));
+}
+
+// The commit the branch points to (null before the first commit)
+async function readGitHead(gitDir) {
+  const head = (await readFolderText(gitDir, 'HEAD'))?.trim() || '';
+  const ref = head.startsWith('ref: ') ? head.substring(5) : null;
+  if (!ref) return { ref: null, sha: head || null };
+
+  const sha = (await readFolderText(gitDir, ref))?.trim();
+  if (sha) return { ref, sha };
+  // After `git pack-refs` (or a gc) the branch may only be listed in packed-refs
+  const packed = await readFolderText(gitDir, 'packed-refs') || '';
+  const line = packed.split('\n').find(l => l.endsWith(` ${ref}`));
+  return { ref, sha: line ? line.split(' ')[0] : null };
+}
+
+// ============================================================================
+// Git Sync
+// ============================================================================
+
+// Open the repository in the export folder's claude-git/ subfolder, creating it if there is none
+// Returns { root, gitDir, ref, state }, root being the work tree. Throws if the repository has commits
+// Git sync didn't make, since committing on top of them would drop their files
+async function openGitSync(exportFolder) {
+  const root = await getFolderAt(exportFolder, GIT_SYNC_FOLDER, true);
+  let gitDir = await getFolderAt(root, '.git');
+  if (!gitDir) {
+    gitDir = await getFolderAt(root, '.git', true);
+    await getFolderAt(gitDir, 'objects', true);
+    await getFolderAt(gitDir, 'refs/heads', true);
+    await writeFileToFolder(gitDir, 'HEAD', `ref: refs/heads/${GIT_SYNC_BRANCH}\n`);
+    await writeFileToFolder(gitDir, 'config', '[core]\n\trepositoryformatversion = 0\n\tfilemode = false\n\tbare = false\n');
+  }
+
+  const { ref, sha } = await readGitHead(gitDir);
+  if (!ref) {
+    throw new Error(`The Git repository in the export folder's ${GIT_SYNC_FOLDER} folder has a detached HEAD. Check out a branch first.`);
+  }
+  const saved = await readFolderText(gitDir, GIT_SYNC_STATE);
+  const state = saved ? JSON.parse(saved) : { head: null, files: {}, conversations: {}, exportedAt: null };
+  // The state is saved before the branch moves; finish a sync that stopped in between
+  if (state.head && sha === state.previousHead) {
+    await writeFileToFolder(gitDir, ref, `${state.head}\n`);
+    await writeGitIndex(gitDir, state.files);
+  } else if ((sha || null) !== state.head) {
+    throw new Error(`The Git repository in the export folder's ${GIT_SYNC_FOLDER} folder has commits Git sync didn't make (${ref.replace('refs/heads/', '')} is at ${(sha || 'no commit').substring(0, 7)}). Move that folder away to start a new repository.`);
+  }
+  return { root, gitDir, ref, state };
+}
+
+// The manifest (see diffAgainstManifest) of the conversations the repository holds
+async function loadGitSyncManifest(exportFolder) {
+  const { state } = await openGitSync(exportFolder);
+  return { exportedAt: state.exportedAt, conversations: state.conversations };
+}
+
+// Where a conversation's Markdown lives in the repository: <project>/<title>_<uuid8>.md
+function getGitSyncPath(data) {
+  const projectUuid = data.project_uuid || data.project?.uuid;
+  const projectFolder = projectUuid
+    ? safeFilename(data.project?.name || `Project_${projectUuid.substring(0, 8)}`)
+    : 'No_Project';
+  return `${projectFolder}/${safeFilename(data.name || data.uuid)}_${(data.uuid || '').substring(0, 8)}.md`;
+}
+
+// Commit message: a summary line, then the conversations added, changed and deleted
+function generateGitSyncMessage(added, changed, deleted) {
+  const total = added.length + changed.length + deleted.length;
+  const lines = [`Sync ${total} conversation${total === 1 ? '' : 's'}: ${added.length} added, ${changed.length} changed, ${deleted.length} deleted`];
+  for (const [title, list] of [['Added', added], ['Changed', changed], ['Deleted', deleted]]) {
+    if (list.length === 0) continue;
+    lines.push('', `${title}:`);
+    list.forEach(conv => lines.push(`- ${conv.name || 'Untitled'} (${conv.uuid})`));
+  }
+  return lines.join('\n');
+}
+
+// Write fetched conversations as Markdown into the working tree, drop deleted ones, and commit
+// Conversations whose Markdown didn't change aren't counted. Returns { commit, branch, added,
+// changed, deleted } with commit null when there was nothing to commit
+async function syncConversationsToGit(exportFolder, conversations, deleted = []) {
+  const { root, gitDir, ref, state } = await openGitSync(exportFolder);
+  const files = { ...state.files };
+  const tracked = { ...state.conversations };
+  const added = [];
+  const changed = [];
+  const removed = [];
+
+  const removeFile = async (path) => {
+    delete files[path];
+    const parts = path.split('/');
+    const name = parts.pop();
+    const dir = await getFolderAt(root, parts.join('/'));
+    if (!dir) return;
+    await dir.removeEntry(name).catch(() => {});
+
+    // Git doesn't track folders, so a project folder left empty would linger in the work tree
+    if (parts.length > 0 && (await dir.entries().next()).done) {
+      const folderName = parts.pop();
+      const parent = await getFolderAt(root, parts.join('/'));
+      await parent?.removeEntry(folderName).catch(() => {});
+    }
+  };
+
+  for (const conv of deleted) {
+    const previous = tracked[conv.uuid];
+    if (!previous) continue;
+    await removeFile(previous.path);
+    delete tracked[conv.uuid];
+    removed.push({ uuid: conv.uuid, name: previous.name || conv.name });
+  }
+
+  for (const data of conversations) {
+    const path = getGitSyncPath(data);
+    const content = gitTextEncoder.encode(withBOM(convertToMarkdown(data, {
+      includeThinking: settings.includeThinking,
+      allBranches: settings.allBranches,
+      includeExportedAt: false  // a new export time would change every re-synced file
+    })));
+    const sha = await writeGitObject(gitDir, 'blob', content);
+    const previous = tracked[data.uuid];
+    tracked[data.uuid] = { path, updated_at: data.updated_at, name: data.name || '' };
+    if (previous && previous.path === path && files[path]?.sha === sha) continue;
+
+    // A renamed or moved conversation leaves its old file behind
+    if (previous && previous.path !== path) {
+      await removeFile(previous.path);
+    }
+    files[path] = { sha, size: content.length };
+    await writeFileToFolder(root, path, content);
+    (previous ? changed : added).push({ uuid: data.uuid, name: data.name });
+  }
+
+  let commit = null;
+  if (added.length + changed.length + removed.length > 0) {
+    const tree = await writeGitTree(gitDir, files);
+    commit = await writeGitCommit(gitDir, tree, state.head, generateGitSyncMessage(added, changed, removed));
+  }
+
+  await writeFileToFolder(gitDir, GIT_SYNC_STATE, JSON.stringify({
+    head: commit || state.head,
+    previousHead: commit ? state.head : state.previousHead,
+    files,
+    conversations: tracked,
+    exportedAt: new Date().toISOString()
+  }));
+  if (commit) {
+    await writeFileToFolder(gitDir, ref, `${commit}\n`);
+    await writeGitIndex(gitDir, files);
+  }
+  return { commit, branch: ref.replace('refs/heads/', ''), added: added.length, changed: changed.length, deleted: removed.length };
+}
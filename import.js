@@ -0,0 +1,149 @@
+// Import page - converts claude.ai's official data export into Claude Takeout formats
+// Conversion uses the same export engine (exporter.js) as the popup, with no live API access
+
+(async function() {
+  'use strict';
+
+  const status = document.getElementById('status');
+  const dropZone = document.getElementById('dropZone');
+  const fileInput = document.getElementById('fileInput');
+  const convertButton = document.getElementById('convert');
+  let selectedFile = null;
+
+  // Use the same thinking, branch and filename settings as the popup
+  try {
+    const stored = await chrome.storage.local.get(['exporterSettings']);
+    if (stored.exporterSettings) {
+      settings = { ...defaultSettings, ...stored.exporterSettings };
+    }
+  } catch (e) {
+    console.error('Failed to load settings:', e);
+  }
+
+  function showProgress(current, total, text) {
+    document.getElementById('progress').style.display = 'block';
+    document.getElementById('progressFill').style.width = `${(current / total) * 100}%`;
+    document.getElementById('progressText').textContent = text;
+  }
+
+  function hideProgress() {
+    document.getElementById('progress').style.display = 'none';
+  }
+
+  function selectFile(file) {
+    if (!file) return;
+    selectedFile = file;
+    convertButton.disabled = false;
+    status.className = 'status ready';
+    status.textContent = `Selected ${file.name}`;
+  }
+
+  dropZone.addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => selectFile(fileInput.files[0]));
+
+  dropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropZone.classList.add('dragover');
+  });
+  dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+  dropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropZone.classList.remove('dragover');
+    selectFile(e.dataTransfer.files[0]);
+  });
+
+  convertButton.addEventListener('click', async () => {
+    if (!selectedFile) return;
+    const format = document.getElementById('importFormat').value;
+    convertButton.disabled = true;
+
+    let conversations;
+    try {
+      status.className = 'status waiting';
+      status.textContent = `Reading ${selectedFile.name}...`;
+      conversations = await readOfficialExport(selectedFile);
+    } catch (e) {
+      status.className = 'status error';
+      status.textContent = `Import failed: ${e.message}`;
+      convertButton.disabled = false;
+      return;
+    }
+
+    const total = conversations.length;
+    status.textContent = `Found ${total} conversations. Converting...`;
+    showProgress(0, total, `0 / ${total}`);
+
+    // Per-conversation formats are bundled into one zip rather than triggering a download per file
+    const zip = new JSZip();
+    const usedNames = new Set();
+    const indexEntries = [];
+    let exported = 0;
+    let errors = [];
+
+    for (const data of conversations) {
+      try {
+        if (format === 'megazip') {
+          indexEntries.push(await addConversationToMegaZip(zip, data));
+        } else {
+          const { content, filename } = formatConversationFile(data, format);
+          let name = filename;
+          let counter = 2;
+          while (usedNames.has(name)) {
+            name = filename.replace(/(\.[^.]+)$/, `_${counter}$1`);
+            counter++;
+          }
+          usedNames.add(name);
+          if (format === 'json') {
+            zip.file(name, content);
+          } else {
+            addFileWithBOM(zip, name, content);
+          }
+        }
+        exported++;
+      } catch (e) {
+        errors.push(`${data.name || data.uuid}: ${e.message}`);
+      }
+
+      showProgress(exported + errors.length, total, `${exported} / ${total}`);
+
+      // Let the page repaint between conversations
+      await new Promise(r => setTimeout(r, 0));
+    }
+
+    if (format === 'megazip') {
+      finalizeMegaZip(zip, indexEntries, errors);
+    }
+
+    status.textContent = 'Compressing archive...';
+    showProgress(95, 100, 'Compressing...');
+
+    try {
+      const zipBlob = await zip.generateAsync({
+        type: 'blob',
+        compression: 'DEFLATE',
+        compressionOptions: { level: 6 }
+      });
+
+      const dateStr = new Date().toISOString().slice(0, 10);
+      const zipName = format === 'megazip' ? `claude-takeout-${dateStr}.zip` : `claude-takeout-${format}-${dateStr}.zip`;
+      await download(zipBlob, zipName, 'application/zip');
+
+      hideProgress();
+
+      if (errors.length > 0) {
+        status.className = 'status error';
+        status.textContent = `Converted ${exported}/${total}. ${errors.length} failed.`;
+        console.error('Import errors:', errors);
+      } else {
+        status.className = 'status ready';
+        status.textContent = `Converted ${exported} conversations!`;
+      }
+    } catch (e) {
+      hideProgress();
+      status.className = 'status error';
+      status.textContent = `Zip generation failed: ${e.message}`;
+    }
+
+    convertButton.disabled = false;
+  });
+})();
@@ -28,7 +28,7 @@
 
         if (data && data.chat_messages) {
           window.__CLAUDE_EXPORT_DATA__ = data;
-          window.postMessage({ type: 'CLAUDE_CONVERSATION_DATA', data: data }, '*');
+          window.postMessage({ type: 'CLAUDE_CONVERSATION_DATA', data: data, url: url }, '*');
           console.log('[Claude Takeout] Captured conversation data');
         }
       } catch (e) {
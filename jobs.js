@@ -0,0 +1,717 @@
+// Export job runner - runs bulk exports inside the offscreen document so they survive the popup closing
+// Offscreen documents can only use chrome.runtime, so storage, claude.ai tab messages and downloads
+// are requested from background.js
+
+// ============================================================================
+// Background Bridge
+// ============================================================================
+
+// Ask the service worker to do something this document can't
+function backgroundRequest(action, payload = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ target: 'background', action, ...payload }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+async function storageGet(keys) {
+  return (await backgroundRequest('offscreenStorageGet', { keys })) || {};
+}
+
+// Rejects when storage refuses the write, e.g. over its quota
+async function storageSet(items) {
+  const result = await backgroundRequest('offscreenStorageSet', { items });
+  if (result?.error) throw new Error(result.error);
+}
+
+// Message the content script in a claude.ai tab; rejects when no tab can be reached
+async function sendToClaudeTab(message) {
+  const result = await backgroundRequest('offscreenTabMessage', { message });
+  if (!result || result.unreachable) {
+    throw new Error(result?.unreachable || 'No claude.ai tab responded');
+  }
+  return result.response;
+}
+
+// ============================================================================
+// Bulk Export Jobs
+// ============================================================================
+
+// A bulk export is a job saved in chrome.storage.local (exportJob) with its pending, completed and failed
+// conversations, so a run cut short by the browser closing or the tab navigating can be resumed.
+// Per-file formats download each conversation as it arrives; the others keep fetched conversations in
+// the IndexedDB job cache and build their archive once nothing is pending.
+// The popup and side panel render progress from exportJob as it changes.
+
+const JOB_LABELS = {
+  markdown: 'Markdown',
+  embedded: 'Embedded',
+  json: 'JSON',
+  zip: 'Mega-Zip',
+  obsidian: 'Obsidian vault',
+  dataset: 'JSONL dataset',
+  project: 'Project zip',
+  projects: 'Projects backup',
+  git: 'Git sync'
+};
+const PER_FILE_JOB_KINDS = ['markdown', 'embedded', 'json'];
+const SESSION_EXPIRED_MESSAGE = 'Your claude.ai session has expired. Log in again in the claude.ai tab, then click Resume.';
+const INCREMENTAL_JOB_KINDS = ['markdown', 'embedded', 'json', 'zip'];
+// With settings.exportTarget 'folder', these write each conversation's folder into the export folder
+const FOLDER_JOB_KINDS = ['markdown', 'embedded', 'json', 'zip'];
+const EXPORT_FOLDER_ACCESS_MESSAGE = 'Access to the export folder has lapsed. Open Settings → Choose Export Folder... and allow it again, then start or resume the export.';
+
+let jobRunning = false;
+let jobListing = false;  // a start command is still listing conversations
+let jobControl = null;  // 'pause' or 'cancel', requested from the job controls
+
+async function loadExportJob() {
+  const { exportJob } = await storageGet(['exportJob']);
+  return exportJob || null;
+}
+
+async function saveExportJob(job) {
+  await storageSet({ exportJob: job });
+}
+
+// Record a status line for the popup to show alongside the job's progress
+function setJobStatus(job, className, text) {
+  job.statusClass = className;
+  job.statusText = text;
+}
+
+// Scheduled backups and folder exports keep their own manifests, so other runs don't make them skip
+// conversations they haven't written
+function getManifestKey(job) {
+  if (job.backup) return 'backup';
+  return job.folder ? 'folder' : job.kind;
+}
+
+// What a job is exporting, for status lines
+function getJobLabel(job) {
+  return job.folder ? `folder ${job.folderName}` : JOB_LABELS[job.kind];
+}
+
+// The export folder, if it's still writable; throws with what the user has to do otherwise
+async function getWritableExportFolder() {
+  const handle = await loadExportFolder();
+  if (!handle) {
+    throw new Error('Choose an export folder in Settings first.');
+  }
+  if (!(await hasExportFolderAccess(handle))) {
+    throw new Error(EXPORT_FOLDER_ACCESS_MESSAGE);
+  }
+  return handle;
+}
+
+// Load the manifest of the last bulk export for an org and export format (null if none yet)
+async function loadExportManifest(org, format) {
+  const { exportManifests } = await storageGet(['exportManifests']);
+  return exportManifests?.[org]?.[format] || null;
+}
+
+// Save the manifest for an org and export format; each format keeps its own so delta runs stay complete
+async function saveExportManifest(org, format, manifest) {
+  const { exportManifests = {} } = await storageGet(['exportManifests']);
+  exportManifests[org] = { ...(exportManifests[org] || {}), [format]: manifest };
+  await storageSet({ exportManifests });
+}
+
+// Remember how many messages fetched conversations have (uuid -> { count, updated_at })
+// The side panel browser shows them, since the conversation list doesn't include counts
+async function saveMessageCounts(counts) {
+  if (Object.keys(counts).length === 0) return;
+  const { messageCounts = {} } = await storageGet(['messageCounts']);
+  await storageSet({ messageCounts: { ...messageCounts, ...counts } });
+}
+
+// List the org's conversations through the claude.ai tab, one page at a time
+// Returns { conversations, truncated, orgId }; throws with a message for the status line
+async function fetchConversationList(maxCount, onPage) {
+  let orgId = null;
+  const { conversations, truncated } = await listConversations(async (page) => {
+    let response;
+    try {
+      response = await sendToClaudeTab({ action: 'fetchConversationPage', ...page });
+    } catch (e) {
+      throw new Error(`Please navigate to claude.ai first (${e.message})`);
+    }
+    if (response?.authExpired) {
+      throw new Error('Your claude.ai session has expired. Log in again in the claude.ai tab, then try again.');
+    }
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+    orgId = response.orgId;
+    return response;
+  }, { maxCount, onPage });
+  return { conversations, truncated, orgId };
+}
+
+// Start a bulk export job with a snapshot of the popup's settings
+// Options:
+// - filter (see filterConversations) narrows the conversation list before the job starts
+// - selection ({ orgId, conversations: [{ uuid, name, updated_at }] }) exports exactly those
+//   conversations, as picked in the side panel browser, without listing
+// - project ({ uuid, name }) is the project a 'project' job exports; the filter and the maximum
+//   conversation count don't apply to it
+// A 'projects' job backs up every project's knowledge base and exports no conversations
+// A 'git' job commits new, changed and deleted conversations to the Git repository in the export folder;
+// the repository's own record of what it holds replaces the manifest
+// - backup ({ full, tabId }) marks a scheduled backup started by background.js: a Mega-Zip of every
+//   conversation, incremental against the backup manifest unless full is set. tabId is the claude.ai
+//   tab background.js opened for it, if any
+// - retryFrom is the finished job whose failed conversations should be fetched again
+// Returns { error } when the job can't start
+async function startExportJob(kind, jobSettings, { filter = null, selection = null, project = null, backup = null, retryFrom = null } = {}) {
+  const existing = await loadExportJob();
+  if (jobRunning || jobListing || existing?.status === 'running' || existing?.status === 'paused') {
+    return { error: 'Resume or cancel the current bulk export first' };
+  }
+
+  settings = { ...defaultSettings, ...jobSettings };
+  if (kind === 'project') {
+    project = project || retryFrom?.project;
+    if (!project?.uuid) {
+      return { error: 'No project to export' };
+    }
+    filter = { ...defaultConversationFilter, project: project.uuid };
+  }
+  if (retryFrom?.backup) {
+    backup = { full: false, tabId: null };
+  }
+  let incremental = backup
+    ? !retryFrom && !backup.full
+    : !retryFrom && !selection && settings.incrementalExport && INCREMENTAL_JOB_KINDS.includes(kind);
+
+  // Check the export folder before listing, so a lapsed permission doesn't cost a full listing
+  const folder = !backup && settings.exportTarget === 'folder' && FOLDER_JOB_KINDS.includes(kind);
+  let folderName = null;
+  let gitManifest = null;
+  if (folder || kind === 'git') {
+    try {
+      const handle = await getWritableExportFolder();
+      folderName = handle.name;
+      if (kind === 'git') {
+        gitManifest = await loadGitSyncManifest(handle);
+        incremental = !retryFrom && !selection;
+      }
+    } catch (e) {
+      return { error: e.message };
+    }
+  }
+  let conversations, deleted = [], org, manifest = null, truncated = false, filtered = false;
+
+  if (retryFrom) {
+    conversations = retryFrom.failed;
+    org = retryFrom.orgId;
+  } else if (kind === 'projects') {
+    // The projects are listed when the archive is built; only the org is needed up front
+    let response;
+    try {
+      response = await sendToClaudeTab({ action: 'getOrgId' });
+    } catch (e) {
+      return { error: e.message };
+    }
+    org = response?.orgId;
+    if (!org) {
+      return { error: 'No org ID available. Refresh the claude.ai page first.' };
+    }
+    conversations = [];
+  } else if (selection) {
+    conversations = selection.conversations || [];
+    org = selection.orgId;
+    if (conversations.length === 0) {
+      return { error: 'No conversations selected' };
+    }
+  } else {
+    // The list streams into the status line while it loads (exportJob with status 'listing').
+    // If listing fails, the previous job comes back with the outcome as its status line.
+    const maxCount = kind === 'project' ? 0 : parseInt(settings.maxConversations, 10) || 0;
+    const restoreExisting = (className, text) =>
+      saveExportJob(existing ? { ...existing, statusClass: className, statusText: text } : null);
+
+    let list;
+    jobListing = true;
+    try {
+      list = await fetchConversationList(maxCount, (found) => saveExportJob({
+        status: 'listing',
+        found: found.length,
+        maxCount,
+        statusClass: 'status waiting',
+        statusText: `Listing conversations... ${found.length} found`
+      }));
+    } catch (e) {
+      await restoreExisting('status error', e.message);
+      return { error: e.message };
+    } finally {
+      jobListing = false;
+    }
+
+    org = list.orgId;
+    filtered = isConversationFilterActive(filter);
+    let listed = list.conversations;
+    if (filtered) {
+      try {
+        listed = filterConversations(listed, filter);
+      } catch (e) {
+        await restoreExisting('status error', `Invalid filter: ${e.message}`);
+        return { error: `Invalid filter: ${e.message}` };
+      }
+      // A project with no conversations still has its knowledge base to export
+      if (listed.length === 0 && kind !== 'project') {
+        await restoreExisting('status waiting', 'No conversations match the filter.');
+        return { message: 'No conversations match the filter.' };
+      }
+    }
+
+    if (kind === 'git') {
+      manifest = incremental ? gitManifest : null;
+    } else {
+      manifest = incremental ? await loadExportManifest(org, getManifestKey({ kind, backup, folder })) : null;
+    }
+    ({ changed: conversations, deleted } = incremental
+      ? diffAgainstManifest(listed, manifest)
+      : { changed: listed, deleted: [] });
+
+    // Conversations past the maximum or outside the filter weren't considered,
+    // so they can't be told apart from deleted ones
+    truncated = list.truncated;
+    if (truncated || filtered) {
+      deleted = [];
+    }
+
+    if (incremental && conversations.length === 0 && deleted.length === 0) {
+      await restoreExisting('status ready', 'Nothing changed since the last export.');
+      return { message: 'Nothing changed since the last export.' };
+    }
+  }
+
+  const job = {
+    kind,
+    orgId: org,
+    status: 'running',
+    settings,
+    incremental,
+    retry: !!retryFrom,
+    project: project || null,
+    backup,
+    folder,
+    folderName,
+    selected: !!selection || !!retryFrom?.selected,
+    previousExportAt: manifest?.exportedAt || null,
+    total: conversations.length,
+    pending: conversations.map(c => ({ uuid: c.uuid, name: c.name || '', updated_at: c.updated_at })),
+    completed: [],
+    failed: [],
+    deleted,
+    startedAt: new Date().toISOString()
+  };
+  const scope = [
+    truncated ? `the ${settings.maxConversations} most recent` : '',
+    filtered && kind !== 'project' ? 'filtered' : '',
+    selection ? 'selected' : ''
+  ].filter(Boolean).join(', ');
+  setJobStatus(job, 'status waiting', kind === 'projects'
+    ? 'Listing projects...'
+    : incremental
+      ? `${job.total} new or changed, ${deleted.length} deleted since last export${scope ? ` (${scope})` : ''}.`
+      : `Found ${job.total} conversations${scope ? ` (${scope})` : ''}. Exporting ${getJobLabel(job)}...`);
+
+  await clearJobCache();
+  await saveExportJob(job);
+
+  // Runs on after the reply; progress is reported through exportJob
+  startRunningExportJob();
+  return { started: true };
+}
+
+// Describe a run's request rate for the status line, e.g. "42/min, 3 retries (2 rate limited)"
+function formatJobRate(job) {
+  const stats = job.stats;
+  const minutes = stats.elapsedMs / 60000;
+  const done = job.completed.length + job.failed.length;
+  const parts = [minutes > 0 ? `${Math.round(done / minutes)}/min` : null];
+  if (stats.retries > 0) {
+    const waited = Math.round(stats.waitedMs / 1000);
+    parts.push(`${stats.retries} ${stats.retries === 1 ? 'retry' : 'retries'} (${stats.rateLimited} rate limited, ${waited}s backoff)`);
+  }
+  return parts.filter(Boolean).join(', ');
+}
+
+// Work through the job's pending conversations until it finishes, is paused or is cancelled
+// Up to settings.fetchConcurrency conversations are in flight at once; the content script's
+// request scheduler keeps to the same limit and backs off when claude.ai throttles
+async function runExportJob() {
+  const job = await loadExportJob();
+  if (!job || jobRunning || job.status === 'done' || job.status === 'cancelled') return;
+
+  jobRunning = true;
+  let interrupted = null;  // status text explaining why the job had to pause
+  try {
+    jobControl = null;
+    settings = { ...defaultSettings, ...job.settings };
+    job.status = 'running';
+    job.stats = job.stats || { ...createRequestStats(), elapsedMs: 0 };
+    await saveExportJob(job);
+
+    let checkpoint = Date.now();
+    const inFlight = new Set();
+    const label = getJobLabel(job);
+    const messageCounts = {};
+
+    let folder = null;
+    if (job.folder) {
+      try {
+        folder = await getWritableExportFolder();
+      } catch (e) {
+        interrupted = e.message;
+      }
+    }
+
+    // Conversations stay in pending until they finish, so a paused job resumes with the ones in flight
+    const worker = async () => {
+      for (;;) {
+        if (jobControl || interrupted) return;
+        const conv = job.pending.find(c => !inFlight.has(c.uuid));
+        if (!conv) return;
+        inFlight.add(conv.uuid);
+
+        // A version the auto-archive already holds isn't fetched again
+        let result;
+        const archived = await getArchivedConversation(conv.uuid, conv.updated_at).catch(() => null);
+        if (archived) {
+          result = { data: archived };
+          job.fromArchive = (job.fromArchive || 0) + 1;
+        } else {
+          // An unreachable tab pauses the job instead of failing the conversation
+          try {
+            result = await sendToClaudeTab({ action: 'fetchConversation', conversationId: conv.uuid, concurrency: settings.fetchConcurrency });
+          } catch (e) {
+            interrupted = interrupted || `Lost connection to claude.ai (${e.message}). Resume when the page has loaded.`;
+            inFlight.delete(conv.uuid);
+            return;
+          }
+        }
+
+        // Once the session has expired every request fails the same way, so pause with the
+        // conversation still pending instead of recording it and the rest as failures
+        if (result.authExpired) {
+          interrupted = SESSION_EXPIRED_MESSAGE;
+          inFlight.delete(conv.uuid);
+          return;
+        }
+
+        try {
+          if (result.error) {
+            throw new Error(result.error);
+          }
+
+          if (folder) {
+            try {
+              await writeConversationToFolder(folder, result.data, job.orgId);
+            } catch (e) {
+              // Every later write would fail the same way, so pause with the conversation still pending
+              if (e.name !== 'NotAllowedError') throw e;
+              interrupted = EXPORT_FOLDER_ACCESS_MESSAGE;
+              inFlight.delete(conv.uuid);
+              return;
+            }
+          } else if (PER_FILE_JOB_KINDS.includes(job.kind)) {
+            const { content, filename, type } = formatConversationFile(result.data, job.kind);
+            const saved = await download(content, filename, type, { date: job.startedAt });
+            if (saved.skipped) job.skipped = (job.skipped || 0) + 1;
+          } else {
+            await putCachedConversation(result.data);
+          }
+          job.completed.push(conv);
+          messageCounts[conv.uuid] = { count: getMessageChain(result.data).length, updated_at: conv.updated_at };
+
+        } catch (e) {
+          job.failed.push({ ...conv, error: e.message });
+        }
+
+        const now = Date.now();
+        job.stats.elapsedMs += now - checkpoint;
+        checkpoint = now;
+        mergeRequestStats(job.stats, result.stats);
+
+        job.pending = job.pending.filter(c => c.uuid !== conv.uuid);
+        inFlight.delete(conv.uuid);
+        setJobStatus(job, 'status waiting', `Exporting ${label}... ${formatJobRate(job)}`);
+        await saveExportJob(job);
+      }
+    };
+
+    // A worker that throws stops the others before their next conversation; the error is rethrown
+    // once they have all returned, so none of them saves the job after it has been paused
+    const poolSize = Math.max(1, parseInt(settings.fetchConcurrency, 10) || 1);
+    const results = await Promise.allSettled(Array.from({ length: poolSize }, () => worker().catch((e) => {
+      interrupted = interrupted || e.message;
+      throw e;
+    })));
+    const failure = results.find(r => r.status === 'rejected');
+    if (failure) throw failure.reason;
+    await saveMessageCounts(messageCounts);
+  } finally {
+    jobRunning = false;
+  }
+
+  if (jobControl === 'cancel') {
+    await cancelExportJob();
+    return;
+  }
+
+  if (interrupted || jobControl === 'pause') {
+    job.status = 'paused';
+    setJobStatus(job, interrupted ? 'status error' : 'status waiting', interrupted || 'Export paused');
+    await saveExportJob(job);
+    return;
+  }
+
+  await finishExportJob(job);
+}
+
+// Runs the job in the background; anything it throws pauses the job with the error as its status
+function startRunningExportJob() {
+  runExportJob().catch(async (e) => {
+    const job = await loadExportJob().catch(() => null);
+    if (!job || job.status === 'done' || job.status === 'cancelled') return;
+    job.status = 'paused';
+    setJobStatus(job, 'status error', `Export failed: ${e.message}. Click Resume to try again.`);
+    await saveExportJob(job).catch(() => {});
+  });
+}
+
+// Build the job's output from the job cache and download it
+async function buildJobArchive(job, errors, dateStr) {
+  const cached = [];
+  for (const conv of job.completed) {
+    const data = await getCachedConversation(conv.uuid);
+    if (data) cached.push(data);
+  }
+
+  if (job.kind === 'git') {
+    setJobStatus(job, 'status waiting', 'Committing to Git repository...');
+    await saveExportJob(job);
+    job.git = await syncConversationsToGit(await getWritableExportFolder(), cached, job.deleted);
+    return;
+  }
+
+  if (job.kind === 'dataset') {
+    const lines = [];
+    const systemPrompts = new Map();  // project uuid -> prompt_template, fetched once per project
+    for (const data of cached) {
+      const projectUuid = data.project_uuid || data.project?.uuid;
+      if (projectUuid && job.orgId && !systemPrompts.has(projectUuid)) {
+        const projectJson = await fetchProjectJson(job.orgId, projectUuid);
+        systemPrompts.set(projectUuid, projectJson?.prompt_template || '');
+      }
+      const rows = buildDatasetRows(data, systemPrompts.get(projectUuid) || '', {
+        granularity: settings.datasetGranularity,
+        includeThinking: settings.datasetThinking,
+        includeToolCalls: settings.datasetToolCalls
+      });
+      rows.forEach(row => lines.push(JSON.stringify(row)));
+    }
+    await download(lines.join('\n') + (lines.length > 0 ? '\n' : ''), `claude-dataset-${dateStr}.jsonl`, 'application/x-ndjson', { date: job.startedAt });
+    return;
+  }
+
+  let zip, zipName;
+  if (job.kind === 'projects') {
+    // Projects are fetched one after another; each one's docs already go through the scheduler
+    zip = new JSZip();
+    const projects = await fetchProjectList(job.orgId);
+    const indexEntries = [];
+    const usedFolders = new Set();
+    for (const project of projects) {
+      setJobStatus(job, 'status waiting', `Backing up projects... ${indexEntries.length}/${projects.length}`);
+      await saveExportJob(job);
+      indexEntries.push(await addProjectToBackup(zip, project, job.orgId, usedFolders));
+    }
+    finalizeProjectsBackup(zip, indexEntries);
+    job.projects = {
+      count: indexEntries.length,
+      files: indexEntries.reduce((sum, entry) => sum + entry.files, 0),
+      docsFailed: indexEntries.filter(entry => entry.docsFailed).length
+    };
+    setJobStatus(job, 'status waiting', 'Compressing archive...');
+    await saveExportJob(job);
+    zipName = `claude-projects-${dateStr}.zip`;
+  } else if (job.kind === 'project') {
+    // The knowledge base is fetched once for the whole project, so conversation folders leave it out
+    zip = new JSZip();
+    const knowledge = await fetchProjectKnowledge(job.orgId, job.project.uuid);
+    addProjectKnowledgeToZip(zip, knowledge);
+    const indexEntries = [];
+    const usedFolders = new Set();
+    for (const data of cached) {
+      indexEntries.push(await addConversationToProjectZip(zip, data, job.orgId, usedFolders, knowledge.files.length > 0));
+    }
+    finalizeProjectZip(zip, knowledge, indexEntries, errors);
+    const projectName = safeFilename(knowledge.projectJson?.name || job.project.name || 'project');
+    zipName = job.retry ? `${projectName}-retry.zip` : `${projectName}.zip`;
+  } else if (job.kind === 'obsidian') {
+    const vault = createObsidianVault();
+    cached.forEach(data => addConversationToVault(vault, data));
+    finalizeObsidianVault(vault, errors);
+    zip = vault.zip;
+    zipName = `claude-vault-${dateStr}.zip`;
+  } else {
+    zip = new JSZip();
+    const indexEntries = [];
+    for (const data of cached) {
+      indexEntries.push(await addConversationToMegaZip(zip, data, job.orgId));
+    }
+    finalizeMegaZip(zip, indexEntries, errors);
+    if (job.failed.length > 0) {
+      addFileWithBOM(zip, 'errors.md', generateErrorsList(job.failed));
+    }
+    if (job.deleted.length > 0) {
+      addFileWithBOM(zip, 'deletions.md', generateDeletionsList(job.deleted, { exportedAt: job.previousExportAt }));
+    }
+    const suffix = job.retry ? '-retry'
+      : job.selected ? '-selection'
+      : (job.incremental && job.previousExportAt ? '-update' : '');
+    zipName = `${job.backup ? 'claude-backup' : 'claude-takeout'}${suffix}-${dateStr}.zip`;
+  }
+
+  const zipBlob = await zip.generateAsync({
+    type: 'blob',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 6 }
+  });
+  // A skipped backup archive would leave a gap in the chain of updates its manifest describes
+  const saved = await download(zipBlob, zipName, 'application/zip', {
+    date: job.startedAt,
+    conflict: job.backup ? 'uniquify' : settings.downloadConflict
+  });
+  job.archive = { filename: zipName, downloadId: saved.downloadId ?? null };
+}
+
+// Produce the job's output, update the delta manifest and record the result
+async function finishExportJob(job) {
+  const label = getJobLabel(job);
+  const errors = job.failed.map(f => `${f.name || f.uuid}: ${f.error}`);
+  const dateStr = new Date().toISOString().slice(0, 10);
+
+  try {
+    if (job.folder) {
+      if (job.deleted.length > 0) {
+        const folder = await getWritableExportFolder();
+        await writeFileToFolder(folder, `claude-deletions-${dateStr}.md`, withBOM(generateDeletionsList(job.deleted, { exportedAt: job.previousExportAt })));
+      }
+    } else if (PER_FILE_JOB_KINDS.includes(job.kind)) {
+      if (job.deleted.length > 0) {
+        await download(generateDeletionsList(job.deleted, { exportedAt: job.previousExportAt }), `claude-deletions-${dateStr}.md`, 'text/markdown', { date: job.startedAt });
+      }
+    } else {
+      setJobStatus(job, 'status waiting', 'Compressing archive...');
+      await saveExportJob(job);
+      await buildJobArchive(job, errors, dateStr);
+    }
+
+    // Delta and retry runs add to the previous manifest; full runs replace it.
+    // Hand-picked selections aren't backups, so they leave it alone.
+    if (INCREMENTAL_JOB_KINDS.includes(job.kind) && !job.selected) {
+      const base = (job.incremental || job.retry) ? await loadExportManifest(job.orgId, getManifestKey(job)) : null;
+      await saveExportManifest(job.orgId, getManifestKey(job), updateManifest(base, job.completed, job.deleted));
+    }
+  } catch (e) {
+    // Leave the job paused with its cache intact so Resume can build the output again
+    job.status = 'paused';
+    setJobStatus(job, 'status error', `Export failed: ${e.message}`);
+    await saveExportJob(job);
+    return;
+  }
+
+  job.status = 'done';
+  job.finishedAt = new Date().toISOString();
+  const rateText = job.stats ? formatJobRate(job) : '';
+  const rate = rateText ? ` ${rateText}` : '';
+  if (job.kind === 'git') {
+    const { commit, branch, added, changed, deleted } = job.git;
+    const summary = commit
+      ? `Committed ${commit.substring(0, 7)} to ${branch}: ${added} added, ${changed} changed, ${deleted} deleted.`
+      : 'Nothing to commit: no conversation text changed.';
+    const failed = job.failed.length > 0 ? ` ${job.failed.length} failed.` : '';
+    setJobStatus(job, failed ? 'status error' : 'status ready', `${summary}${failed}${rate}`);
+  } else if (job.kind === 'projects') {
+    const { count, files, docsFailed } = job.projects;
+    if (docsFailed > 0) {
+      setJobStatus(job, 'status error', `Backed up ${count} projects (${files} knowledge files). Docs of ${docsFailed} couldn't be fetched.`);
+    } else {
+      setJobStatus(job, 'status ready', `Backed up ${count} projects (${files} knowledge files)!`);
+    }
+  } else if (job.failed.length > 0) {
+    setJobStatus(job, 'status error', `Exported ${job.completed.length}/${job.total} (${label}). ${job.failed.length} failed.${rate}`);
+    console.error('Export errors:', errors);
+  } else {
+    const skipped = job.skipped ? ` ${job.skipped} already downloaded, skipped.` : '';
+    const archived = job.fromArchive ? ` ${job.fromArchive} read from the archive.` : '';
+    setJobStatus(job, 'status ready', `Exported ${job.completed.length} conversations (${label})!${skipped}${archived}${rate}`);
+  }
+  await saveExportJob(job);
+  await clearJobCache();
+}
+
+// Drop the job and anything it cached; files already downloaded stay where they are
+async function cancelExportJob() {
+  const job = await loadExportJob();
+  await clearJobCache();
+  if (job) {
+    job.status = 'cancelled';
+    setJobStatus(job, 'status waiting', 'Export cancelled');
+    await saveExportJob(job);
+  }
+}
+
+// Commands from the popup and side panel, relayed by background.js
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return false;
+
+  const handle = async () => {
+    switch (message.command) {
+      case 'start':
+        return startExportJob(message.kind, message.settings, {
+          filter: message.filter,
+          selection: message.selection,
+          project: message.project,
+          backup: message.backup
+        });
+      case 'retry': {
+        const job = await loadExportJob();
+        if (!job || job.failed.length === 0) return { error: 'Nothing to retry' };
+        return startExportJob(job.kind, message.settings, { retryFrom: job });
+      }
+      case 'archive':
+        return { archived: await archiveConversation(message.data, message.orgId) };
+      case 'pause':
+        if (jobRunning) jobControl = 'pause';
+        return { ok: true };
+      case 'resume':
+        startRunningExportJob();
+        return { ok: true };
+      case 'cancel':
+        if (jobRunning) {
+          jobControl = 'cancel';
+        } else {
+          await cancelExportJob();
+        }
+        return { ok: true };
+      default:
+        return { error: `Unknown job command: ${message.command}` };
+    }
+  };
+
+  handle()
+    .then(sendResponse)
+    .catch(e => sendResponse({ error: e.message }));
+  return true;
+});
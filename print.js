@@ -0,0 +1,40 @@
+// Print page - renders a conversation prepared by the popup and opens the print dialog
+// The popup stores the print-ready HTML in chrome.storage.local under printJob
+
+(async function() {
+  'use strict';
+
+  const loading = document.getElementById('loading');
+
+  const { printJob } = await chrome.storage.local.get(['printJob']);
+  if (!printJob || !printJob.html) {
+    loading.textContent = 'Nothing to print. Start a PDF export from the Claude Takeout popup.';
+    return;
+  }
+
+  // The job is single-use; free the storage as soon as it's loaded
+  await chrome.storage.local.remove('printJob');
+
+  // Replace this page with the exported document (no scripts in it, so parsing is safe under the extension CSP)
+  const doc = new DOMParser().parseFromString(printJob.html, 'text/html');
+  document.head.innerHTML = doc.head.innerHTML;
+  document.body.innerHTML = doc.body.innerHTML;
+
+  // Chrome uses the page title as the default PDF filename
+  document.title = printJob.filename || doc.title;
+
+  const printButton = document.getElementById('printButton');
+  if (printButton) {
+    printButton.addEventListener('click', () => window.print());
+  }
+
+  // Wait for inlined images to decode so they aren't missing from the first print
+  await Promise.all([...document.images].map(img => img.complete
+    ? Promise.resolve()
+    : new Promise(resolve => {
+      img.onload = resolve;
+      img.onerror = resolve;
+    })));
+
+  window.print();
+})();
@@ -0,0 +1,109 @@
+// Request scheduler - every claude.ai API request goes through scheduledFetch()
+// Loaded as a plain script by the content script and before exporter.js in extension pages
+
+// ============================================================================
+// Request Scheduler
+// ============================================================================
+
+// At most `concurrency` requests run at once. A 429 or 503 response backs off the whole scheduler,
+// not just the request that got it, so requests already queued wait too.
+const SCHEDULER_RETRY_STATUSES = [429, 503];
+const SCHEDULER_MAX_RETRIES = 5;
+const SCHEDULER_BASE_DELAY = 1000;
+const SCHEDULER_MAX_DELAY = 60000;
+
+const requestScheduler = {
+  concurrency: 3,
+  active: 0,
+  waiting: [],      // resolvers for requests waiting for a free slot
+  backoffUntil: 0   // no request starts before this time
+};
+
+// Per-run request counters; callers keep one and pass it to scheduledFetch()
+function createRequestStats() {
+  return { requests: 0, retries: 0, rateLimited: 0, waitedMs: 0 };
+}
+
+// Add one set of request counters to another
+function mergeRequestStats(total, stats) {
+  if (!stats) return total;
+  for (const key of Object.keys(total)) {
+    total[key] += stats[key] || 0;
+  }
+  return total;
+}
+
+function setSchedulerConcurrency(concurrency) {
+  const value = parseInt(concurrency, 10);
+  if (value > 0) {
+    requestScheduler.concurrency = value;
+    // A larger pool can start waiting requests straight away; each one checks for a slot again
+    const freed = Math.min(value - requestScheduler.active, requestScheduler.waiting.length);
+    requestScheduler.waiting.splice(0, Math.max(freed, 0)).forEach(resolve => resolve());
+  }
+}
+
+// Wait until a slot is free and no backoff is in effect
+async function acquireSchedulerSlot() {
+  for (;;) {
+    const wait = requestScheduler.backoffUntil - Date.now();
+    if (wait > 0) {
+      await new Promise(r => setTimeout(r, wait));
+      continue;
+    }
+    if (requestScheduler.active < requestScheduler.concurrency) {
+      requestScheduler.active++;
+      return;
+    }
+    await new Promise(resolve => requestScheduler.waiting.push(resolve));
+  }
+}
+
+function releaseSchedulerSlot() {
+  requestScheduler.active--;
+  const next = requestScheduler.waiting.shift();
+  if (next) next();
+}
+
+// Delay before retrying a throttled response: Retry-After when the server sends it (seconds or an
+// HTTP date), otherwise exponential backoff with jitter so parallel requests don't retry in lockstep
+function getRetryDelay(response, attempt) {
+  const retryAfter = response.headers?.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(ms) && ms >= 0) {
+      return Math.min(ms, SCHEDULER_MAX_DELAY);
+    }
+  }
+  const ceiling = Math.min(SCHEDULER_BASE_DELAY * 2 ** attempt, SCHEDULER_MAX_DELAY);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// fetch() through the scheduler, retrying 429 and 503 responses with backoff
+// Returns the final response; after SCHEDULER_MAX_RETRIES the throttled response is returned as-is
+async function scheduledFetch(url, init = {}, stats = null) {
+  for (let attempt = 0; ; attempt++) {
+    await acquireSchedulerSlot();
+    let response;
+    try {
+      response = await fetch(url, init);
+    } finally {
+      releaseSchedulerSlot();
+    }
+    if (stats) stats.requests++;
+
+    if (!SCHEDULER_RETRY_STATUSES.includes(response.status) || attempt >= SCHEDULER_MAX_RETRIES) {
+      return response;
+    }
+
+    const delay = getRetryDelay(response, attempt);
+    requestScheduler.backoffUntil = Math.max(requestScheduler.backoffUntil, Date.now() + delay);
+    if (stats) {
+      stats.retries++;
+      stats.waitedMs += delay;
+      if (response.status === 429) stats.rateLimited++;
+    }
+    console.log(`[Claude Takeout] ${response.status} from ${url}, retrying in ${Math.round(delay / 1000)}s`);
+  }
+}